@@ -0,0 +1,3380 @@
+/**
+ * データ圧縮学習アプリ React Application
+ * Vite で ES モジュールとしてまとめる (ブラウザ内の Babel や CDN は使わない)
+ */
+
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import ReactDOM from "react-dom/client";
+import { CompressionLogic } from "./logic.js";
+import "./index.css";
+
+// UI Components
+const Card = ({ children, title, className = "" }) => (
+  <div className={`bg-white rounded-xl shadow-md overflow-hidden border border-gray-100 ${className}`}>
+    {title && <div className="bg-gray-50 px-4 py-3 border-b border-gray-200 font-bold text-gray-700">{title}</div>}
+    <div className="p-4">{children}</div>
+  </div>
+);
+
+const Button = ({ onClick, children, variant = "primary", className = "", disabled = false, size = "md" }) => {
+  const baseStyle = "rounded-lg font-medium transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-1 flex items-center justify-center";
+  const sizes = {
+    sm: "px-2 py-1 text-sm",
+    md: "px-4 py-2",
+  };
+  const variants = {
+    primary: "bg-blue-600 hover:bg-blue-700 text-white focus:ring-blue-500",
+    secondary: "bg-gray-100 hover:bg-gray-200 text-gray-700 focus:ring-gray-400",
+    success: "bg-green-600 hover:bg-green-700 text-white focus:ring-green-500",
+    outline: "border border-gray-300 text-gray-600 hover:bg-gray-50",
+    ghost: "text-gray-500 hover:bg-gray-100",
+  };
+  return (
+    <button 
+      onClick={onClick} 
+      disabled={disabled}
+      className={`${baseStyle} ${sizes[size]} ${variants[variant]} ${disabled ? "opacity-50 cursor-not-allowed" : ""} ${className}`}
+    >
+      {children}
+    </button>
+  );
+};
+
+// ハフマン木の表示 (節点を再帰的に描画)
+// picked: 取り出された節点, newNodeId: 新しく作られた節点, pathIds: 符号をたどる経路
+const HuffmanTreeNode = ({ node, picked = [], newNodeId = null, pathIds = [] }) => {
+  const isLeaf = node.char !== null;
+  let nodeClass = "bg-white border-gray-300 text-gray-700";
+  if (picked.includes(node.id)) {
+    nodeClass = "bg-yellow-100 border-yellow-400 text-black ring-2 ring-yellow-300";
+  } else if (node.id === newNodeId) {
+    nodeClass = "bg-indigo-100 border-indigo-400 text-indigo-800 ring-2 ring-indigo-300 animate-pulse";
+  } else if (pathIds.includes(node.id)) {
+    nodeClass = "bg-green-100 border-green-500 text-green-800";
+  }
+
+  const edgeClass = (child) => pathIds.includes(child.id) ? "text-green-600 font-bold" : "text-gray-400";
+
+  return (
+    <div className="flex flex-col items-center">
+      <div className={`min-w-[2rem] h-8 px-1 flex flex-col items-center justify-center border leading-none transition-all duration-200 ${isLeaf ? "rounded" : "rounded-full"} ${nodeClass}`}>
+        {isLeaf && <span className="font-mono font-bold text-sm">{node.char}</span>}
+        <span className="text-[10px]">{node.freq}{node.order !== undefined && <span className="text-gray-400"> #{node.order}</span>}</span>
+      </div>
+      {!isLeaf && (
+        <div className="flex gap-2 mt-1">
+          <div className="flex flex-col items-center">
+            <span className={`text-xs font-mono ${edgeClass(node.left)}`}>↙0</span>
+            <HuffmanTreeNode node={node.left} picked={picked} newNodeId={newNodeId} pathIds={pathIds} />
+          </div>
+          <div className="flex flex-col items-center">
+            <span className={`text-xs font-mono ${edgeClass(node.right)}`}>1↘</span>
+            <HuffmanTreeNode node={node.right} picked={picked} newNodeId={newNodeId} pathIds={pathIds} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// 森（キューに残っている木の集まり）をまとめて表示
+const HuffmanTreeView = ({ forest, picked, newNodeId, pathIds }) => (
+  <div className="flex gap-4 items-start justify-center overflow-x-auto p-2 bg-white rounded border border-gray-200 min-h-[80px]">
+    {forest.map(node => (
+      <HuffmanTreeNode key={node.id} node={node} picked={picked} newNodeId={newNodeId} pathIds={pathIds} />
+    ))}
+  </div>
+);
+
+// 根から指定した文字の葉までの経路にある節点IDを求める
+const findHuffmanPath = (node, char) => {
+  if (!node) return null;
+  if (node.char !== null) return node.char === char ? [node.id] : null;
+  const sub = findHuffmanPath(node.left, char) || findHuffmanPath(node.right, char);
+  return sub ? [node.id, ...sub] : null;
+};
+
+// 算術符号化の数直線: 現在の区間を記号ごとの小区間に分けて表示し、選ばれた記号を強調する
+const ArithmeticIntervalView = ({ step }) => {
+  const { interval, segments, picked, narrowed, zoomed, point } = step;
+  const width = interval.high - interval.low;
+  const pos = (v) => `${((v - interval.low) / width) * 100}%`;
+  const fmt = (v) => v.toFixed(4);
+  return (
+    <div className="space-y-1 text-xs font-mono">
+      <div className="relative h-10 bg-gray-100 rounded border border-gray-300 overflow-hidden">
+        {segments.map((seg, k) => (
+          <div
+            key={k}
+            className={`absolute top-0 h-full border-r border-gray-400 flex items-center justify-center overflow-hidden ${seg.symbol === picked ? "bg-yellow-200 font-bold" : k % 2 ? "bg-indigo-50" : "bg-white"}`}
+            style={{ left: pos(seg.low), width: `${((seg.high - seg.low) / width) * 100}%` }}
+            title={`${seg.symbol}: [${fmt(seg.low)}, ${fmt(seg.high)})`}
+          >
+            {seg.high - seg.low > width * 0.04 ? visibleSymbol(seg.symbol) : ""}
+          </div>
+        ))}
+        {point !== undefined && (
+          <div className="absolute top-0 h-full border-l-2 border-red-600" style={{ left: pos(point) }}></div>
+        )}
+      </div>
+      <div className="flex justify-between text-gray-500">
+        <span>{fmt(interval.low)}</span>
+        <span>{fmt(interval.high)}</span>
+      </div>
+      <div className="flex justify-between text-indigo-600 font-bold">
+        <span>「{visibleSymbol(picked)}」の区間:</span>
+        <span>[{fmt(narrowed.low)}, {fmt(narrowed.high)})</span>
+      </div>
+      {zoomed && (zoomed.low !== narrowed.low || zoomed.high !== narrowed.high) && (
+        <div className="flex justify-between text-gray-500">
+          <span>確定ビットの分だけ拡大:</span>
+          <span>[{fmt(zoomed.low)}, {fmt(zoomed.high)})</span>
+        </div>
+      )}
+      {point !== undefined && (
+        <div className="text-red-600">赤い線: ビット列が表す値 {fmt(point)}</div>
+      )}
+    </div>
+  );
+};
+
+// BWT の回転表: 回転させた並び（または並べ替えた後）を1行ずつ表示し、最後の列を強調する
+const BWT_MAX_ROWS = 32;
+const BwtMatrixView = ({ result, step }) => {
+  const { symbols, rotations, sorted, primaryIndex } = result;
+  const n = symbols.length;
+  const rows = step.phase === "rotations" ? rotations : sorted;
+  const isSorted = step.phase !== "rotations";
+  return (
+    <div className="overflow-x-auto max-h-72 overflow-y-auto text-xs font-mono">
+      <table className="border-collapse">
+        <tbody>
+          {rows.slice(0, BWT_MAX_ROWS).map((start, r) => {
+            const active = step.row === r;
+            const done = step.phase === "last" && r < step.row;
+            return (
+              <tr key={start} className={active ? "bg-yellow-100" : ""}>
+                <td className="pr-2 text-right text-gray-400">{r}</td>
+                {Array.from({ length: Math.min(n, BWT_MAX_ROWS) }, (_, k) => {
+                  const isLast = k === n - 1;
+                  return (
+                    <td
+                      key={k}
+                      className={`px-1 border border-gray-100 ${isSorted && isLast ? (active || done ? "bg-green-200 font-bold" : "bg-green-50") : ""}`}
+                    >
+                      {visibleSymbol(symbols[(start + k) % n])}
+                    </td>
+                  );
+                })}
+                {n > BWT_MAX_ROWS && <td className="px-1 text-gray-400">… {visibleSymbol(symbols[(start + n - 1) % n])}</td>}
+                <td className="pl-2 text-indigo-600 whitespace-nowrap">{isSorted && r === primaryIndex ? "← 元の並び" : ""}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {n > BWT_MAX_ROWS && <div className="text-gray-400 mt-1">※ 先頭の {BWT_MAX_ROWS} 行・{BWT_MAX_ROWS} 列だけを表示しています</div>}
+    </div>
+  );
+};
+
+// MTF のリスト: 見つけた位置を強調し、先頭へ移した後のリストを並べて表示する
+const MtfListView = ({ step }) => (
+  <div className="space-y-1 text-xs font-mono">
+    <div className="flex flex-wrap items-center gap-0.5">
+      <span className="text-gray-400 w-10">前:</span>
+      {step.list.map((symbol, k) => (
+        <span key={k} className={`px-1 border rounded ${k === step.position ? "bg-yellow-100 border-yellow-400 font-bold" : "bg-gray-50 border-gray-200"}`}>
+          <span className="text-[9px] text-gray-400 mr-0.5">{k}</span>{visibleSymbol(symbol)}
+        </span>
+      ))}
+    </div>
+    <div className="flex flex-wrap items-center gap-0.5">
+      <span className="text-gray-400 w-10">後:</span>
+      {step.nextList.map((symbol, k) => (
+        <span key={k} className={`px-1 border rounded ${k === 0 ? "bg-green-100 border-green-500 font-bold" : "bg-gray-50 border-gray-200"}`}>
+          <span className="text-[9px] text-gray-400 mr-0.5">{k}</span>{visibleSymbol(symbol)}
+        </span>
+      ))}
+    </div>
+    <div className="flex justify-between text-indigo-600 font-bold">
+      <span>出力する番号:</span>
+      <span>{step.position}</span>
+    </div>
+  </div>
+);
+
+// LZW の辞書表: 先頭から現在のステップまでに登録した並びをすべて並べる（ステップを戻したときも作り直す）
+// クリアコードの後は登録し直しになるので、クリアした次のステップから表を空にする
+const LzwDictionaryTable = ({ steps, currentIndex }) => {
+  const containerRef = useRef(null);
+  const focusRef = useRef(null);
+  const currentStep = steps[currentIndex] || {};
+
+  const { entries, cleared } = useMemo(() => {
+    let list = [];
+    for (let i = 0; i <= currentIndex && i < steps.length; i++) {
+      const step = steps[i];
+      if (step.dictAdd) list.push({ ...step.dictAdd, stepIndex: i });
+      if (step.reset && i < currentIndex) list = [];
+    }
+    return { entries: list, cleared: !!currentStep.reset };
+  }, [steps, currentIndex]);
+
+  const matchCode = entries.find(entry => entry.str === currentStep.match)?.code;
+  const addedCode = currentStep.dictAdd?.code;
+
+  // 強調した行が見えるように、表の中だけをスクロールする
+  useEffect(() => {
+    const container = containerRef.current;
+    const row = focusRef.current;
+    if (container && row) container.scrollTop = row.offsetTop - container.clientHeight / 2;
+  }, [currentIndex]);
+
+  return (
+    <div>
+      <div className="flex justify-between text-[10px] text-gray-400 mb-0.5">
+        <span>登録した並び ({entries.length}個)</span>
+        <span>
+          <span className="inline-block w-2 h-2 bg-yellow-200 border border-yellow-400 mr-0.5"></span>一致した最長の並び
+          <span className="inline-block w-2 h-2 bg-indigo-100 border border-indigo-400 ml-2 mr-0.5"></span>今回登録
+        </span>
+      </div>
+      <div ref={containerRef} className="relative max-h-40 overflow-y-auto border border-gray-200 rounded">
+        {entries.length === 0 ? (
+          <div className="text-xs text-gray-400 text-center py-2">- まだ登録はありません (初期辞書のみ) -</div>
+        ) : (
+          <table className="w-full text-xs font-mono border-collapse">
+            <thead className="sticky top-0 bg-gray-100 text-gray-500">
+              <tr>
+                <th className="px-1 text-right w-12">コード</th>
+                <th className="px-1 text-left">並び</th>
+                <th className="px-1 text-right w-16">ステップ</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => {
+                const isMatch = entry.code === matchCode;
+                const isAdded = entry.code === addedCode && entry.stepIndex === currentIndex;
+                let rowClass = "";
+                if (cleared) rowClass = "text-gray-300 line-through";
+                else if (isMatch) rowClass = "bg-yellow-100 font-bold";
+                else if (isAdded) rowClass = "bg-indigo-50 text-indigo-700 font-bold";
+                return (
+                  <tr key={entry.code} ref={isMatch || isAdded ? focusRef : null} className={`border-t border-gray-100 ${rowClass}`}>
+                    <td className="px-1 text-right">{entry.code}</td>
+                    <td className="px-1 break-all">"{entry.str}"</td>
+                    <td className="px-1 text-right text-gray-400">{entry.stepIndex + 1}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// テキスト用 視覚化コンポーネント
+const Visualizer = ({ inputText, result, algo, title = "圧縮プロセスの可視化", initialStep = 0, onStepChange = null }) => {
+  const [currentStepIndex, setCurrentStepIndex] = useState(() => Math.min(initialStep, Math.max((result?.animationSteps?.length || 1) - 1, 0)));
+  const mountedRef = useRef(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1000); // ms
+  const timerRef = useRef(null);
+
+  const steps = result?.animationSteps || [];
+  const currentStep = steps[currentStepIndex] || {};
+
+  // 再生制御
+  useEffect(() => {
+    if (isPlaying) {
+      timerRef.current = setInterval(() => {
+        setCurrentStepIndex(prev => {
+          if (prev >= steps.length - 1) {
+            setIsPlaying(false);
+            return prev;
+          }
+          return prev + 1;
+        });
+      }, speed);
+    } else {
+      clearInterval(timerRef.current);
+    }
+    return () => clearInterval(timerRef.current);
+  }, [isPlaying, speed, steps.length]);
+
+  // 入力変更やアルゴリズム変更でリセット (最初の表示では initialStep のまま)
+  useEffect(() => {
+    if (!mountedRef.current) {
+      mountedRef.current = true;
+      return;
+    }
+    setCurrentStepIndex(0);
+    setIsPlaying(false);
+  }, [inputText, algo, result]);
+
+  useEffect(() => {
+    if (onStepChange) onStepChange(currentStepIndex);
+  }, [currentStepIndex]);
+
+  // 入力文字列のハイライト表示
+  const renderInputString = () => {
+    // units があればその単位（例: LZWのコード）で区切って表示する
+    const chars = result?.units || Array.from(inputText);
+    return (
+      <div className="flex flex-wrap gap-1 font-mono text-lg mb-2 p-2 bg-gray-50 rounded border border-gray-200 overflow-x-auto">
+        {chars.map((char, idx) => {
+          let bgClass = "bg-white";
+          let borderClass = "border-gray-200";
+          
+          // 現在処理中の文字をハイライト
+          const activeIndex = currentStep.index;
+          const activeLen = currentStep.length;
+
+          // LZ77 のコピー元（参照先）
+          const refIndex = currentStep.refIndex ?? -1;
+          const refLen = currentStep.refLength || 0;
+
+          // LZW で辞書と一致した最長の並び (patternStart 〜)。出力するステップでは処理中の文字は一致しなかった文字
+          const prefixStart = currentStep.patternStart ?? -1;
+          const prefixEnd = currentStep.isOutputStep ? activeIndex : activeIndex + activeLen;
+
+          if (currentStep.isOutputStep && prefixStart >= 0 && idx === activeIndex) {
+            bgClass = "bg-red-50 scale-110 shadow-sm";
+            borderClass = "border-red-400 border-dashed font-bold text-red-700";
+          } else if (prefixStart >= 0 && idx >= prefixStart && idx < prefixEnd) {
+            bgClass = "bg-yellow-100 shadow-sm";
+            borderClass = "border-yellow-400 font-bold text-black";
+          } else if (activeIndex >= 0 && idx >= activeIndex && idx < activeIndex + activeLen) {
+            bgClass = "bg-yellow-100 scale-110 shadow-sm";
+            borderClass = "border-yellow-400 font-bold text-black";
+          } else if (refIndex >= 0 && idx >= refIndex && idx < refIndex + refLen) {
+            bgClass = "bg-blue-100 text-blue-800";
+            borderClass = "border-blue-400 font-bold";
+          } else if (activeIndex >= 0 && idx < activeIndex) {
+            bgClass = "bg-gray-200 text-gray-400"; // 処理済み
+          }
+
+          return (
+            <div key={idx} className={`min-w-[2rem] h-8 px-1 flex items-center justify-center border rounded transition-all duration-200 ${bgClass} ${borderClass}`}>
+              {char}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-indigo-50 rounded-lg p-4 border border-indigo-100">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="font-bold text-indigo-800 flex items-center">
+            <span className="mr-2">🔍</span> {title}
+          </h3>
+          <div className="flex items-center gap-2">
+            <label className="text-xs text-indigo-600 font-medium">速度:</label>
+            <input 
+              type="range" 
+              min="100" 
+              max="2000" 
+              step="100" 
+              value={2100 - speed} 
+              onChange={(e) => setSpeed(2100 - Number(e.target.value))}
+              className="w-24 h-2 bg-indigo-200 rounded-lg appearance-none cursor-pointer"
+            />
+          </div>
+        </div>
+
+        {/* コントロールボタン */}
+        <div className="flex justify-center gap-2 mb-4">
+          <Button onClick={() => setCurrentStepIndex(0)} variant="outline" size="sm" disabled={currentStepIndex === 0}>⏮</Button>
+          <Button onClick={() => setCurrentStepIndex(prev => Math.max(0, prev - 1))} variant="outline" size="sm" disabled={currentStepIndex === 0}>◀</Button>
+          <Button onClick={() => setIsPlaying(!isPlaying)} variant={isPlaying ? "secondary" : "primary"} size="sm" className="w-24">
+            {isPlaying ? "一時停止" : "再生 ▶"}
+          </Button>
+          <Button onClick={() => setCurrentStepIndex(prev => Math.min(steps.length - 1, prev + 1))} variant="outline" size="sm" disabled={currentStepIndex === steps.length - 1}>▶</Button>
+          <Button onClick={() => setCurrentStepIndex(steps.length - 1)} variant="outline" size="sm" disabled={currentStepIndex === steps.length - 1}>⏭</Button>
+        </div>
+
+        {/* ステップ進行状況 */}
+        <div className="w-full bg-gray-200 rounded-full h-1.5 mb-6">
+          <div 
+            className="bg-indigo-500 h-1.5 rounded-full transition-all duration-300" 
+            style={{ width: `${((currentStepIndex + 1) / Math.max(steps.length, 1)) * 100}%` }}
+          ></div>
+        </div>
+
+        {/* 処理内容の視覚化エリア */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {/* 左：入力データのスキャン */}
+          <div>
+            <div className="text-xs text-gray-500 mb-1 font-bold">1. 入力データの読み取り</div>
+            {renderInputString()}
+            <div className="min-h-[60px] p-3 bg-white border border-gray-200 rounded text-sm text-gray-700 leading-relaxed whitespace-pre-line shadow-sm">
+              {currentStep.description || "開始待ち..."}
+            </div>
+          </div>
+
+          {/* 右：出力・辞書の状態 */}
+          <div className="space-y-4">
+             {/* アルゴリズムごとの補足表示 */}
+             {algo === 'huffman' && (
+                <div className="bg-white p-2 rounded border border-gray-200">
+                  <div className="text-xs text-gray-500 mb-1 font-bold">辞書参照</div>
+                  {currentStep.lookupChar ? (
+                    <div className="flex items-center justify-center gap-3">
+                      <div className="w-8 h-8 flex items-center justify-center border bg-gray-50 rounded font-mono">{currentStep.lookupChar}</div>
+                      <span className="text-gray-400">➞</span>
+                      <div className="font-mono font-bold text-indigo-600 bg-indigo-50 px-2 py-1 rounded">{currentStep.lookupCode}</div>
+                    </div>
+                  ) : (
+                    <div className="text-xs text-gray-400 text-center py-2">
+                      {currentStep.phase === 'build' ? "- ハフマン木を構築中 -" : "- 待機中 -"}
+                    </div>
+                  )}
+                </div>
+             )}
+
+             {algo === 'arithmetic' && (
+                <div className="bg-white p-2 rounded border border-gray-200">
+                  <div className="text-xs text-gray-500 mb-1 font-bold">区間の絞り込み</div>
+                  <div className="text-[10px] text-gray-400 mb-1">※ 先頭のビットが確定するたびに区間を拡大して表示します</div>
+                  {currentStep.interval ? (
+                    <ArithmeticIntervalView step={currentStep} />
+                  ) : (
+                    <div className="text-xs text-gray-400 text-center py-2">
+                      {currentStep.idealBits !== undefined
+                        ? `理想値 ${currentStep.idealBits.toFixed(2)} bits に対し、出力 ${(currentStep.currentEncoded || "").length} bits`
+                        : "- 待機中 -"}
+                    </div>
+                  )}
+                </div>
+             )}
+
+             {algo === 'mtf' && (
+                <div className="bg-white p-2 rounded border border-gray-200">
+                  <div className="text-xs text-gray-500 mb-1 font-bold">記号のリスト (最近使ったものが先頭)</div>
+                  {currentStep.list ? (
+                    <MtfListView step={currentStep} />
+                  ) : (
+                    <div className="text-xs text-gray-400 text-center py-2">- 待機中 -</div>
+                  )}
+                </div>
+             )}
+
+             {algo === 'lzw' && (
+                <div className="bg-white p-2 rounded border border-gray-200">
+                  <div className="text-xs text-gray-500 mb-1 font-bold">辞書登録・検索</div>
+                  <div className="text-[10px] text-gray-400 mb-1">※ UTF-8のバイト単位で処理します（英数字以外は16進数で表示）</div>
+                  <div className="text-xs font-mono space-y-1">
+                     <div className="flex justify-between">
+                       <span>現在のパターン(w):</span>
+                       <span className="font-bold bg-yellow-50 px-1">{currentStep.w !== undefined ? `"${currentStep.w}"` : "-"}</span>
+                     </div>
+                     {currentStep.dictAdd && (
+                        <div className="flex justify-between text-indigo-600 font-bold animate-pulse">
+                          <span>新規登録:</span>
+                          <span>"{currentStep.dictAdd.str}" = {currentStep.dictAdd.code}</span>
+                        </div>
+                     )}
+                     {currentStep.codeWidth !== undefined && (
+                        <>
+                          <div className="flex justify-between">
+                            <span>コード幅:</span>
+                            <span className={`font-bold px-1 ${currentStep.widthChange ? "bg-orange-100 text-orange-700" : ""}`}>
+                              {currentStep.widthChange ? `${currentStep.widthChange.from} → ${currentStep.widthChange.to}` : currentStep.codeWidth} bit
+                            </span>
+                          </div>
+                          <div>
+                            <div className="flex justify-between">
+                              <span>辞書の大きさ:</span>
+                              <span>{currentStep.dictSize} / {currentStep.maxDictSize}</span>
+                            </div>
+                            <div className="h-1.5 bg-gray-200 rounded overflow-hidden mt-0.5">
+                              <div className={`h-full ${currentStep.reset ? "bg-red-500" : "bg-purple-500"}`} style={{ width: `${(currentStep.dictSize / currentStep.maxDictSize) * 100}%` }}></div>
+                            </div>
+                          </div>
+                          {currentStep.bitCost !== undefined && (
+                            <div className="flex justify-between text-gray-500">
+                              <span>ここまでのビット数:</span>
+                              <span>{currentStep.bitCost} bits</span>
+                            </div>
+                          )}
+                        </>
+                     )}
+                     {currentStep.widthChange && (
+                        <div className="text-orange-700 font-bold">辞書の番号が {currentStep.widthChange.from}bit に収まらなくなったので、コード幅を1bit広げました</div>
+                     )}
+                     {currentStep.reset && (
+                        <div className="text-red-600 font-bold">クリアコードで辞書を初期状態に戻しました</div>
+                     )}
+                  </div>
+                  <div className="mt-2">
+                    <LzwDictionaryTable steps={steps} currentIndex={currentStepIndex} />
+                  </div>
+                </div>
+             )}
+
+             {algo === 'lz77' && (
+                <div className="bg-white p-2 rounded border border-gray-200">
+                  <div className="text-xs text-gray-500 mb-1 font-bold">探索窓と先読みバッファ</div>
+                  {currentStep.window ? (
+                    <div className="space-y-2 text-xs font-mono">
+                      <div>
+                        <div className="text-gray-400 mb-0.5">探索窓 (すでに出力したデータ)</div>
+                        <div className="flex flex-wrap gap-0.5 min-h-[1.5rem]">
+                          {currentStep.window.length === 0 && <span className="text-gray-300">(空)</span>}
+                          {currentStep.window.map((ch, k) => {
+                            const { start, length } = currentStep.match;
+                            const inMatch = length > 0 && k >= start && k < start + length;
+                            return <span key={k} className={`px-1 border rounded ${inMatch ? "bg-blue-100 border-blue-400 font-bold" : "bg-gray-50 border-gray-200"}`}>{ch}</span>;
+                          })}
+                        </div>
+                      </div>
+                      <div>
+                        <div className="text-gray-400 mb-0.5">先読みバッファ (これから符号化するデータ)</div>
+                        <div className="flex flex-wrap gap-0.5">
+                          {currentStep.lookahead.map((ch, k) => {
+                            const { length } = currentStep.match;
+                            let cls = "bg-gray-50 border-gray-200";
+                            if (k < length) cls = "bg-yellow-100 border-yellow-400 font-bold";
+                            else if (k === length) cls = "bg-green-100 border-green-500 font-bold";
+                            return <span key={k} className={`px-1 border rounded ${cls}`}>{ch}</span>;
+                          })}
+                        </div>
+                      </div>
+                      <div className="flex justify-between text-indigo-600 font-bold">
+                        <span>出力 (オフセット, 長さ, 次の文字):</span>
+                        <span>({currentStep.match.offset}, {currentStep.match.length}, "{currentStep.match.next}")</span>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="text-xs text-gray-400 text-center py-2">- 待機中 -</div>
+                  )}
+                </div>
+             )}
+
+             {/* 成長する出力データ */}
+             <div>
+                <div className="text-xs text-gray-500 mb-1 font-bold">2. 出力データ</div>
+                <div className="p-2 bg-gray-800 text-green-400 font-mono text-sm rounded h-24 overflow-y-auto shadow-inner break-all whitespace-pre-wrap">
+                  {/* これまで確定した部分 */}
+                  <span>{currentStep.currentEncoded ? (currentStep.outputChunk ? currentStep.currentEncoded.slice(0, currentStep.currentEncoded.lastIndexOf(currentStep.outputChunk)) : currentStep.currentEncoded) : ""}</span>
+                  {/* 最新の追加部分をハイライト */}
+                  {currentStep.outputChunk && (
+                    <span className="text-white bg-green-700 px-1 animate-pulse">
+                      {currentStep.outputChunk}
+                    </span>
+                  )}
+                  {/* まだの部分は表示しない */}
+                </div>
+             </div>
+          </div>
+        </div>
+
+        {/* BWT の回転表 (回転 → 並べ替え → 最後の列) */}
+        {algo === 'bwt' && result?.sorted && currentStep.phase && (
+          <div className="mt-4">
+            <div className="text-xs text-gray-500 mb-1 font-bold">
+              {currentStep.phase === 'rotations' ? "3. 回転させた並び" : "3. 辞書順に並べ替えた回転 (緑の列 = 出力する最後の列)"}
+            </div>
+            <div className="bg-white p-2 rounded border border-gray-200">
+              <BwtMatrixView result={result} step={currentStep} />
+            </div>
+          </div>
+        )}
+
+        {/* 適応型ハフマン木 (符号化 → 更新 を1文字ごとに繰り返す) */}
+        {algo === 'adaptiveHuffman' && currentStep.tree && (
+          <div className="mt-4">
+            <div className="text-xs text-gray-500 mb-1 font-bold">
+              {currentStep.phase === 'encode'
+                ? "3. 今の木で符号化 (緑 = たどる経路, #は節点番号)"
+                : "3. 木の更新 (黄 = 入れ替えた節点, 紫 = 新しい葉, #は節点番号)"}
+            </div>
+            <HuffmanTreeView
+              forest={[currentStep.tree]}
+              picked={currentStep.swapped || []}
+              newNodeId={currentStep.newNodeId ?? null}
+              pathIds={currentStep.phase === 'encode' ? currentStep.pathIds : (currentStep.touched || [])}
+            />
+          </div>
+        )}
+
+        {/* ハフマン木の成長 (構築ステップ → 符号の読み取り) */}
+        {algo === 'huffman' && result?.tree && (
+          <div className="mt-4">
+            <div className="text-xs text-gray-500 mb-1 font-bold">
+              {currentStep.phase === 'build'
+                ? "3. ハフマン木の構築 (出現回数の少ない2つを順にまとめる)"
+                : currentStep.phase === 'codes'
+                ? "3. 完成したハフマン木 (左=0, 右=1)"
+                : "3. 正規化した符号の木 (符号の長さは同じ, 左=0, 右=1)"}
+            </div>
+            <HuffmanTreeView
+              forest={currentStep.forest || [result.tree]}
+              picked={currentStep.picked || []}
+              newNodeId={currentStep.newNodeId ?? null}
+              pathIds={currentStep.lookupChar !== undefined ? (findHuffmanPath(result.tree, currentStep.lookupChar) || []) : []}
+            />
+            {currentStep.codes && (
+              <div className="flex flex-wrap gap-2 mt-2 text-sm">
+                {Object.entries(currentStep.codes).map(([char, code]) => (
+                  <span key={char} className="px-2 py-1 bg-white rounded border border-green-200 font-mono">
+                    {char}: <span className="text-green-700 font-bold">{code}</span>
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+      </div>
+    </div>
+  );
+};
+
+// 画像用 視覚化コンポーネント
+const ImageVisualizer = ({ grid, result, palette, initialStep = 0, onStepChange = null }) => {
+  const [currentStepIndex, setCurrentStepIndex] = useState(() => Math.min(initialStep, Math.max((result?.animationSteps?.length || 1) - 1, 0)));
+  const mountedRef = useRef(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(500); // 画像は少し速めに
+  const timerRef = useRef(null);
+
+  const steps = result?.animationSteps || [];
+  const currentStep = steps[currentStepIndex] || {};
+  // 出力のないステップ (LZWで辞書にあった場合など) では、直前までの出力を表示し続ける
+  const lastOutput = steps.slice(0, currentStepIndex + 1).reverse().find(step => step.currentEncoded !== undefined) || {};
+
+  useEffect(() => {
+    if (isPlaying) {
+      timerRef.current = setInterval(() => {
+        setCurrentStepIndex(prev => {
+          if (prev >= steps.length - 1) {
+            setIsPlaying(false);
+            return prev;
+          }
+          return prev + 1;
+        });
+      }, speed);
+    } else {
+      clearInterval(timerRef.current);
+    }
+    return () => clearInterval(timerRef.current);
+  }, [isPlaying, speed, steps.length]);
+
+  useEffect(() => {
+    if (!mountedRef.current) {
+      mountedRef.current = true;
+      return;
+    }
+    setCurrentStepIndex(0);
+    setIsPlaying(false);
+  }, [result]);
+
+  useEffect(() => {
+    if (onStepChange) onStepChange(currentStepIndex);
+  }, [currentStepIndex]);
+
+  // ピクセルのステータス判定 (処理済み、処理中、未処理)
+  // LZW では辞書と照合中のパターン全体 (patternStart 〜 index) を処理中として示す
+  // ステップの位置は走査順に並べた何番目の画素かなので、画素ごとの順番 (order) に直して比べる
+  const cols = grid[0].length;
+  const path = result.path;
+  const order = useMemo(() => {
+    const o = [];
+    path.forEach((cell, k) => { o[cell] = k; });
+    return o;
+  }, [path]);
+  const getPixelStatus = (r, c) => {
+    const flatIdx = order[r * cols + c];
+    const { index, length } = currentStep;
+    
+    // 開始前
+    if (index === undefined) return 'pending';
+
+    const start = currentStep.patternStart ?? index;
+    if (flatIdx >= start && flatIdx < index + length) return 'active'; // 処理中
+    if (flatIdx < start) return 'done'; // 処理済み
+    return 'pending'; // 未処理
+  };
+
+  // 線を引く範囲: 処理中の画素まで。1マスの間隔は画素の大きさ + 隙間1px
+  const cellPitch = (PIXEL_SIZES[cols] || 9) + 1;
+  const scannedCount = currentStep.index === undefined ? 0 : Math.max(currentStep.index + Math.max(currentStep.length, 1), 0);
+
+  return (
+    <div className="bg-indigo-50 rounded-lg p-4 border border-indigo-100 mb-6">
+       <div className="flex justify-between items-center mb-4">
+          <h3 className="font-bold text-indigo-800 flex items-center">
+            <span className="mr-2">🎬</span> 画像データのスキャン
+          </h3>
+          <div className="flex items-center gap-2">
+            <label className="text-xs text-indigo-600 font-medium">速度:</label>
+            <input 
+              type="range" 
+              min="100" 
+              max="2000" 
+              step="100" 
+              value={2100 - speed} 
+              onChange={(e) => setSpeed(2100 - Number(e.target.value))}
+              className="w-24 h-2 bg-indigo-200 rounded-lg appearance-none cursor-pointer"
+            />
+          </div>
+       </div>
+
+       {/* コントロールボタン */}
+       <div className="flex justify-center gap-2 mb-4">
+          <Button onClick={() => setCurrentStepIndex(0)} variant="outline" size="sm" disabled={currentStepIndex === 0}>⏮</Button>
+          <Button onClick={() => setCurrentStepIndex(prev => Math.max(0, prev - 1))} variant="outline" size="sm" disabled={currentStepIndex === 0}>◀</Button>
+          <Button onClick={() => setIsPlaying(!isPlaying)} variant={isPlaying ? "secondary" : "primary"} size="sm" className="w-24">
+            {isPlaying ? "一時停止" : "再生 ▶"}
+          </Button>
+          <Button onClick={() => setCurrentStepIndex(prev => Math.min(steps.length - 1, prev + 1))} variant="outline" size="sm" disabled={currentStepIndex === steps.length - 1}>▶</Button>
+          <Button onClick={() => setCurrentStepIndex(steps.length - 1)} variant="outline" size="sm" disabled={currentStepIndex === steps.length - 1}>⏭</Button>
+       </div>
+
+       {/* プログレスバー */}
+       <div className="w-full bg-gray-200 rounded-full h-1.5 mb-6">
+          <div 
+            className="bg-indigo-500 h-1.5 rounded-full transition-all duration-300" 
+            style={{ width: `${((currentStepIndex + 1) / Math.max(steps.length, 1)) * 100}%` }}
+          ></div>
+        </div>
+
+       <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-4">
+         {/* グリッドビュー */}
+         <div className="flex flex-col items-center">
+           <div className="text-sm font-bold text-gray-700 mb-2">スキャン中 ({SCAN_ORDERS[result.scanOrder]})</div>
+           <div className="relative">
+           <div className="grid gap-px bg-gray-300 p-1 border rounded shadow-sm" style={pixelGridStyle(cols)}>
+             {grid.map((row, rIdx) => (
+               row.map((cell, cIdx) => {
+                 const status = getPixelStatus(rIdx, cIdx);
+                 let borderClass = "border-gray-200";
+                 let ringClass = "";
+                 let opacityClass = "";
+                 
+                 if (status === 'active') {
+                   borderClass = "border-yellow-400 z-10";
+                   ringClass = cols > 8 ? "ring-1 ring-yellow-400" : "ring-2 ring-yellow-400 ring-offset-1";
+                 } else if (status === 'done') {
+                   borderClass = "border-indigo-200";
+                   opacityClass = "opacity-60"; // 処理済みは少し薄く
+                 }
+
+                 return (
+                   <div
+                     key={`${rIdx}-${cIdx}`}
+                     className={`${cols > 16 ? "" : "border"} ${borderClass} ${ringClass} ${opacityClass} transition-all duration-200`}
+                     style={pixelStyle(cols, palette.colors[cell])}
+                   />
+                 );
+               })
+             ))}
+           </div>
+           {/* 読み進めた道筋 (走査順の線) */}
+           <svg className="absolute pointer-events-none" style={{ left: 5, top: 5 }} width={cols * cellPitch} height={cols * cellPitch}>
+             <polyline
+               points={path.slice(0, scannedCount).map(cell => `${(cell % cols) * cellPitch + cellPitch / 2},${Math.floor(cell / cols) * cellPitch + cellPitch / 2}`).join(" ")}
+               fill="none"
+               stroke="#6366f1"
+               strokeWidth={cols > 16 ? 1.5 : 2}
+               strokeLinejoin="round"
+               opacity="0.7"
+             />
+           </svg>
+           </div>
+         </div>
+
+         {/* 情報ビュー */}
+         <div className="space-y-4">
+            <div className="bg-white p-3 rounded border border-gray-200 shadow-sm min-h-[80px]">
+              <div className="text-xs text-gray-500 font-bold mb-1">処理内容</div>
+              <div className="text-gray-800 font-medium leading-relaxed">
+                 {currentStep.description ? 
+                    (palette.colors.length === 2 ? currentStep.description
+                      .replace(/「0」/g, "「白(0)」")
+                      .replace(/「1」/g, "「黒(1)」") : currentStep.description.replace(/「(\d+)」/g, "「色$1」"))
+                    : "開始待ち..."}
+              </div>
+            </div>
+
+            <div className="bg-gray-800 p-3 rounded text-green-400 font-mono text-sm h-40 overflow-y-auto shadow-inner break-all whitespace-pre-wrap">
+               <div className="text-xs text-gray-400 border-b border-gray-700 pb-1 mb-1">出力データ</div>
+               {currentStep.outputChunk ? (
+                 <>
+                   <span>{currentStep.currentEncoded.slice(0, currentStep.currentEncoded.lastIndexOf(currentStep.outputChunk))}</span>
+                   <span className="text-white bg-green-700 px-1 animate-pulse">{currentStep.outputChunk}</span>
+                 </>
+               ) : (
+                 <span>{lastOutput.currentEncoded || ""}</span>
+               )}
+            </div>
+         </div>
+       </div>
+    </div>
+  );
+};
+
+
+// 簡易棒グラフコンポーネント
+// marker: { value, label } を渡すと、すべての棒に基準線（理論上の下限など）を重ねて描く
+const SimpleBarChart = ({ data, note = "※実際に書き出したファイルのサイズ (ビット数)", marker = null }) => {
+  if (!data || data.length === 0) return null;
+  const maxValue = Math.max(...data.map(d => d.value), marker ? marker.value : 0);
+  return (
+    <div className="w-full space-y-3 mt-4">
+      {data.map((d, idx) => (
+        <div key={idx} className="flex items-center text-sm">
+          <div className="w-24 font-medium text-gray-600 truncate">{d.label}</div>
+          <div className="flex-1 h-6 bg-gray-100 rounded-full overflow-hidden relative mx-2">
+            <div 
+              className={`h-full ${d.color || 'bg-blue-500'} transition-all duration-500`}
+              style={{ width: `${Math.max((d.value / maxValue) * 100, 2)}%` }}
+            ></div>
+            {marker && (
+              <div className="absolute top-0 h-full border-l-2 border-dashed border-red-600" style={{ left: `${(marker.value / maxValue) * 100}%` }}></div>
+            )}
+          </div>
+          <div className="w-20 text-right font-mono text-gray-700">{d.displayValue}</div>
+        </div>
+      ))}
+      {marker && (
+        <div className="text-xs text-red-600 text-right mt-1">┆ 赤い破線: {marker.label}</div>
+      )}
+      <div className="text-xs text-gray-400 text-right mt-1">{note}</div>
+    </div>
+  );
+};
+
+// 表示用: 空白や改行など見えない記号を記号で示す
+const visibleSymbol = (symbol) => symbol === " " ? "␣" : symbol === "\n" ? "↵" : symbol === "\t" ? "⇥" : String(symbol);
+
+// 情報量 (エントロピー) の分析パネル: 記号ごとの確率・情報量と、平均情報量から決まる理論上の下限
+const EntropyPanel = ({ analysis, unitName = "文字", formatSymbol = visibleSymbol, className = "" }) => {
+  if (!analysis) return null;
+  const { rows, symbolCount, originalBits, entropy, minBits, huffmanAverage, huffmanBits } = analysis;
+  return (
+    <Card title="情報量 (エントロピー) の分析" className={className}>
+      <div className="space-y-4 text-sm">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-center">
+          <div className="bg-gray-50 p-2 rounded border border-gray-200">
+            <div className="text-xs text-gray-500">平均情報量 H</div>
+            <div className="text-lg font-bold font-mono text-indigo-700">{entropy.toFixed(3)}</div>
+            <div className="text-xs text-gray-500">bit / {unitName}</div>
+          </div>
+          <div className="bg-gray-50 p-2 rounded border border-gray-200">
+            <div className="text-xs text-gray-500">理論上の最小サイズ</div>
+            <div className="text-lg font-bold font-mono text-red-600">{Math.ceil(minBits)}</div>
+            <div className="text-xs text-gray-500">bits (H × {symbolCount}{unitName})</div>
+          </div>
+          <div className="bg-gray-50 p-2 rounded border border-gray-200">
+            <div className="text-xs text-gray-500">ハフマンの平均符号長</div>
+            <div className="text-lg font-bold font-mono text-green-700">{huffmanAverage.toFixed(3)}</div>
+            <div className="text-xs text-gray-500">bit / {unitName} (計 {huffmanBits} bits)</div>
+          </div>
+          <div className="bg-gray-50 p-2 rounded border border-gray-200">
+            <div className="text-xs text-gray-500">元データ</div>
+            <div className="text-lg font-bold font-mono text-gray-700">{(originalBits / symbolCount).toFixed(3)}</div>
+            <div className="text-xs text-gray-500">bit / {unitName} (計 {originalBits} bits)</div>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto max-h-64 overflow-y-auto">
+          <table className="w-full text-center border-collapse">
+            <thead>
+              <tr className="bg-gray-100 text-xs text-gray-600">
+                <th className="p-1 border border-gray-200">記号</th>
+                <th className="p-1 border border-gray-200">回数</th>
+                <th className="p-1 border border-gray-200">確率 p</th>
+                <th className="p-1 border border-gray-200">情報量 −log₂p</th>
+                <th className="p-1 border border-gray-200">ハフマン符号</th>
+              </tr>
+            </thead>
+            <tbody className="font-mono">
+              {rows.map(row => (
+                <tr key={row.symbol}>
+                  <td className="p-1 border border-gray-200 font-bold">{formatSymbol(row.symbol)}</td>
+                  <td className="p-1 border border-gray-200">{row.count}</td>
+                  <td className="p-1 border border-gray-200">{(row.p * 100).toFixed(1)}%</td>
+                  <td className="p-1 border border-gray-200">{row.info.toFixed(3)} bit</td>
+                  <td className="p-1 border border-gray-200 text-indigo-600">{row.code} <span className="text-gray-400">({row.codeLength} bit)</span></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="bg-yellow-50 p-3 rounded border border-yellow-100 text-yellow-800">
+          <span className="font-bold">考察:</span><br/>
+          各{unitName}を出現確率だけで符号化する限り、1{unitName}あたり平均 H ビットより短くはできません（シャノンの情報源符号化定理）。
+          ハフマン符号は符号長が整数ビットなので、H にぴったりとは届かず少し長くなります
+          （差: {(huffmanAverage - entropy).toFixed(3)} bit/{unitName}）。
+          なお、この下限は{unitName}の並び方（連続や繰り返し）を考えないものです。RLE や LZW が下限より小さくなるのは、並び方の規則性を利用しているからです。
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+// バイト列をファイルとしてダウンロードさせる
+const downloadBinary = (bytes, filename) => {
+  downloadBlob(new Blob([bytes], { type: "application/octet-stream" }), filename);
+};
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// RLE の方式 (ランの書き方)
+const RLE_VARIANT_LABELS = { basic: "基本 (記号 + 個数8bit)", packbits: "PackBits (そのまま/繰り返しパケット)", escape: "目印方式 (3回以上のランだけ)", fixed: "個数を固定ビット数で書く" };
+
+const ALGO_LABELS = { rle: "ランレングス圧縮 (RLE)", huffman: "ハフマン符号化", adaptiveHuffman: "適応型ハフマン (FGK)", arithmetic: "算術符号化", bwt: "BWT (ブロックソート変換)", mtf: "MTF (前方移動変換)", lzw: "LZW圧縮", lz77: "LZ77 (スライド窓)", rleHuffman: "RLE+ハフマン (FAX方式)" };
+
+// 復元に圧縮データ以外の情報が必要な方式と、その入力欄
+const DECODE_EXTRA_INPUTS = {
+  rle: { label: "方式 (空欄 = 基本, packbits / escape / fixed:4)", placeholder: "packbits" },
+  huffman: { label: "符号表 (記号と符号の長さ, JSON形式)", placeholder: '[["C",1],["A",2],["B",2]]' },
+  arithmetic: { label: "確率モデル (文字数・モデル・各文字の回数, JSON形式)", placeholder: '{"length":13,"model":"fixed","symbols":[["A",5],["B",3],["C",5]]}' },
+  bwt: { label: "元の並びの行番号 (並べ替えた表の何行目か)", placeholder: "4" },
+  mtf: { label: "初期リスト (JSON形式)", placeholder: '["I","M","P","S"]' }
+};
+
+// 復元（デコード）パネル: 圧縮データを元に戻し、元の入力と一致するか確かめる
+const DecodePanel = ({ algo, compressionResult, originalText }) => {
+  const logic = CompressionLogic;
+  const [encodedInput, setEncodedInput] = useState("");
+  const [mapInput, setMapInput] = useState("");
+  const [decodeResult, setDecodeResult] = useState(null);
+
+  const placeholders = { rle: "A5B3C5", huffman: "0101101...", arithmetic: "0110101...", lzw: "65,66,257", lz77: "(0,0,A)(1,4,B)", adaptiveHuffman: "01000001...", bwt: "PSSMIPISSII", mtf: "2,3,0,3,3" };
+
+  // 圧縮を実行したら、その結果を復元欄に読み込む
+  useEffect(() => {
+    if (!compressionResult) return;
+    setEncodedInput(compressionResult.encoded || "");
+    setMapInput(compressionResult.serializedMap || "");
+    setDecodeResult(null);
+  }, [compressionResult]);
+
+  useEffect(() => {
+    setDecodeResult(null);
+  }, [algo]);
+
+  const handleDecode = () => {
+    if (!encodedInput) return;
+    let res = null;
+
+    if (algo === "rle") res = logic.rle.decodeSteps(encodedInput, mapInput);
+    else if (algo === "huffman") res = logic.huffman.decodeSteps(encodedInput, mapInput);
+    else if (algo === "adaptiveHuffman") res = logic.adaptiveHuffman.decodeSteps(encodedInput);
+    else if (algo === "arithmetic") res = logic.arithmetic.decodeSteps(encodedInput, mapInput);
+    else if (algo === "bwt") res = logic.bwt.decodeSteps(encodedInput, mapInput);
+    else if (algo === "mtf") res = logic.mtf.decodeSteps(encodedInput, mapInput);
+    else if (algo === "lzw") res = logic.lzw.decodeSteps(encodedInput);
+    else if (algo === "lz77") res = logic.lz77.decodeSteps(encodedInput);
+
+    setDecodeResult(res);
+  };
+
+  // 元の入力との照合 (一致しない場合は最初に異なる位置を探す)
+  const verification = useMemo(() => {
+    if (!decodeResult || decodeResult.error) return null;
+    const decodedChars = Array.from(decodeResult.decoded);
+    const originalChars = Array.from(originalText);
+    if (decodeResult.decoded === originalText) return { match: true };
+    let pos = 0;
+    while (pos < decodedChars.length && decodedChars[pos] === originalChars[pos]) pos++;
+    return { match: false, pos, decodedLength: decodedChars.length, originalLength: originalChars.length };
+  }, [decodeResult, originalText]);
+
+  return (
+    <div className="space-y-4">
+      <Card title="3. 復元 (デコード)">
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600">
+            圧縮データから元のデータを復元します。可逆圧縮なら、元の入力と1文字も違わずに戻るはずです。
+          </p>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">圧縮データ ({ALGO_LABELS[algo]})</label>
+            <textarea
+              value={encodedInput}
+              onChange={(e) => setEncodedInput(e.target.value)}
+              placeholder={placeholders[algo]}
+              rows={2}
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none font-mono text-sm"
+            />
+          </div>
+          {DECODE_EXTRA_INPUTS[algo] && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{DECODE_EXTRA_INPUTS[algo].label}</label>
+              <textarea
+                value={mapInput}
+                onChange={(e) => setMapInput(e.target.value)}
+                placeholder={DECODE_EXTRA_INPUTS[algo].placeholder}
+                rows={2}
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none font-mono text-sm"
+              />
+            </div>
+          )}
+          <div className="flex gap-3">
+            <Button onClick={handleDecode} variant="success" className="flex-1" disabled={!encodedInput}>復元を実行</Button>
+            {compressionResult && (
+              <Button
+                onClick={() => { setEncodedInput(compressionResult.encoded); setMapInput(compressionResult.serializedMap || ""); }}
+                variant="outline"
+              >
+                圧縮結果を読み込む
+              </Button>
+            )}
+          </div>
+
+          {decodeResult?.error && (
+            <div className="text-sm bg-red-50 p-3 rounded border border-red-200 text-red-700">{decodeResult.error}</div>
+          )}
+          {verification && (
+            verification.match ? (
+              <div className="text-sm bg-green-50 p-3 rounded border border-green-200 text-green-800">
+                <span className="font-bold">✅ 元の入力と完全に一致しました。</span><br/>
+                圧縮して復元しても情報が失われない「可逆圧縮」であることが確かめられました。
+              </div>
+            ) : (
+              <div className="text-sm bg-red-50 p-3 rounded border border-red-200 text-red-700">
+                <span className="font-bold">❌ 元の入力と一致しません。</span><br/>
+                {verification.pos + 1}文字目から異なります（復元結果 {verification.decodedLength}文字 / 元の入力 {verification.originalLength}文字）。
+                圧縮データや辞書が書き換えられていないか確認しましょう。
+              </div>
+            )
+          )}
+        </div>
+      </Card>
+
+      {decodeResult && !decodeResult.error && (
+        <>
+          <Visualizer inputText={encodedInput} result={decodeResult} algo={algo} title="復元プロセスの可視化" />
+          <Card title="復元結果">
+            <div className="font-mono text-lg font-bold text-green-700 break-all">{decodeResult.decoded}</div>
+            <div className="text-xs text-gray-500 mt-1">元の入力: <span className="font-mono">{originalText}</span></div>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
+
+// 画像の色 (画素値 = 色の番号。0番はどのパレットでも白)
+const PALETTES = {
+  bw: { label: "白黒 (2色)", ink: 1, colors: ["#ffffff", "#000000"] },
+  gray4: { label: "グレー (4階調)", ink: 3, colors: ["#ffffff", "#aaaaaa", "#555555", "#000000"] },
+  gray16: {
+    label: "グレー (16階調)",
+    ink: 15,
+    colors: Array.from({ length: 16 }, (_, i) => `rgb(${255 - i * 17}, ${255 - i * 17}, ${255 - i * 17})`)
+  },
+  color16: {
+    label: "カラー (16色)",
+    ink: 1,
+    colors: [
+      "#ffffff", "#000000", "#e53935", "#43a047", "#1e88e5", "#fdd835", "#00acc1", "#d81b60",
+      "#808080", "#c0c0c0", "#8d1c1c", "#1b5e20", "#0d2a6b", "#8d7b00", "#006064", "#6a1b9a"
+    ]
+  }
+};
+const IMAGE_SIZES = [8, 16, 32];
+
+// 画像を1列に並べるときの読む順番 (走査順)
+const SCAN_ORDERS = {
+  row: "行ごと (左→右)",
+  column: "列ごと (上→下)",
+  snake: "折り返し (蛇行)",
+  zigzag: "ジグザグ (JPEG)",
+  hilbert: "ヒルベルト曲線"
+};
+
+// 画像タブで選べるアルゴリズムと比較グラフの色
+const IMAGE_ALGOS = [
+  { key: "rle", short: "RLE", color: "bg-red-500" },
+  { key: "huffman", short: "ハフマン", color: "bg-green-500" },
+  { key: "lzw", short: "LZW", color: "bg-purple-500" },
+  { key: "rleHuffman", short: "RLE+ハフマン", color: "bg-teal-500" }
+];
+
+// 一辺の画素数に応じた表示サイズ (px)
+const PIXEL_SIZES = { 8: 28, 16: 16, 32: 9 };
+const pixelGridStyle = (cols) => ({ gridTemplateColumns: `repeat(${cols}, ${PIXEL_SIZES[cols] || 9}px)` });
+const pixelStyle = (cols, color) => ({ width: PIXEL_SIZES[cols] || 9, height: PIXEL_SIZES[cols] || 9, backgroundColor: color });
+
+const makeGrid = (n, pixel) => Array(n).fill().map((_, r) => Array(n).fill(0).map((_, c) => pixel(r, c)));
+
+// プリセット画像: pixel(行, 列, 一辺, 描く色, 色数) → 画素値
+const IMAGE_PRESETS = [
+  { label: "クリア", pixel: () => 0 },
+  { label: "ランダム", pixel: (r, c, n, ink, levels) => Math.floor(Math.random() * levels) },
+  { label: "市松模様", pixel: (r, c, n, ink) => (r + c) % 2 ? ink : 0 },
+  { label: "横縞", pixel: (r, c, n, ink) => r % 2 ? ink : 0 },
+  { label: "縦縞", pixel: (r, c, n, ink) => c % 2 ? ink : 0 },
+  { label: "四角形", pixel: (r, c, n, ink) => (r >= n / 4 && r < n * 3 / 4 && c >= n / 4 && c < n * 3 / 4) ? ink : 0 },
+  { label: "上下分割", pixel: (r, c, n, ink) => r < n / 2 ? 0 : ink },
+  { label: "左右分割", pixel: (r, c, n, ink) => c < n / 2 ? 0 : ink },
+  { label: "バツ印", pixel: (r, c, n, ink) => (r === c || r + c === n - 1) ? ink : 0 },
+  { label: "円", pixel: (r, c, n, ink) => ((r - (n - 1) / 2) ** 2 + (c - (n - 1) / 2) ** 2 <= (n / 3) ** 2) ? ink : 0 },
+  { label: "グラデーション", pixel: (r, c, n, ink, levels) => Math.floor(c * levels / n) },
+];
+
+// "#rrggbb" / "rgb(r, g, b)" → [r, g, b]
+const colorToRgb = (color) => {
+  if (color.startsWith("#")) return [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+  return color.match(/\d+/g).slice(0, 3).map(Number);
+};
+
+// 読み込んだ画像を n×n に縮小し、パレットの色番号に変換する（すべてブラウザ内で処理）
+// 白黒は明るさのしきい値で2値化、それ以外はパレットの中で最も近い色を選ぶ
+const quantizeImage = (img, n, palette, threshold) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = n;
+  canvas.height = n;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, n, n);
+  // 縦横比を保って中央に収める（余白は白）
+  const scale = Math.min(n / img.width, n / img.height);
+  const w = img.width * scale;
+  const h = img.height * scale;
+  ctx.drawImage(img, (n - w) / 2, (n - h) / 2, w, h);
+
+  const { data } = ctx.getImageData(0, 0, n, n);
+  const rgbs = palette.colors.map(colorToRgb);
+  return makeGrid(n, (r, c) => {
+    const k = (r * n + c) * 4;
+    const [red, green, blue] = [data[k], data[k + 1], data[k + 2]];
+    if (rgbs.length === 2) {
+      const luminance = 0.299 * red + 0.587 * green + 0.114 * blue;
+      return luminance < threshold ? 1 : 0;
+    }
+    let best = 0;
+    let bestDist = Infinity;
+    rgbs.forEach(([pr, pg, pb], idx) => {
+      const dist = (red - pr) ** 2 + (green - pg) ** 2 + (blue - pb) ** 2;
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = idx;
+      }
+    });
+    return best;
+  });
+};
+
+// グリッドを1マス=1ピクセルの PNG にする
+const exportGridAsPng = (grid, palette) => {
+  const n = grid.length;
+  const canvas = document.createElement("canvas");
+  canvas.width = n;
+  canvas.height = n;
+  const ctx = canvas.getContext("2d");
+  const image = ctx.createImageData(n, n);
+  const rgbs = palette.colors.map(colorToRgb);
+  grid.flat().forEach((v, i) => {
+    image.data.set([...rgbs[v], 255], i * 4);
+  });
+  ctx.putImageData(image, 0, 0);
+  canvas.toBlob(blob => downloadBlob(blob, `image-${n}x${n}.png`), "image/png");
+};
+
+// グリッドを PBM (白黒) / PGM (グレー) / PPM (カラー) のバイナリ形式にする
+const gridToPnm = (grid, paletteKey, palette) => {
+  const n = grid.length;
+  const levels = palette.colors.length;
+  const header = (text) => Array.from(text, ch => ch.charCodeAt(0));
+
+  if (levels === 2) {
+    // PBM: 1 = 黒。1行ずつ8画素を1バイトに詰める
+    const rows = grid.flatMap(row => {
+      const bytes = Array(Math.ceil(n / 8)).fill(0);
+      row.forEach((v, c) => { if (v) bytes[c >> 3] |= 0x80 >> (c & 7); });
+      return bytes;
+    });
+    return { bytes: Uint8Array.from([...header(`P4\n${n} ${n}\n`), ...rows]), ext: "pbm" };
+  }
+  if (paletteKey.startsWith("gray")) {
+    // PGM: 0 = 黒。色番号が大きいほど濃いので反転する
+    const pixels = grid.flat().map(v => levels - 1 - v);
+    return { bytes: Uint8Array.from([...header(`P5\n${n} ${n}\n${levels - 1}\n`), ...pixels]), ext: "pgm" };
+  }
+  const rgbs = palette.colors.map(colorToRgb);
+  const pixels = grid.flat().flatMap(v => rgbs[v]);
+  return { bytes: Uint8Array.from([...header(`P6\n${n} ${n}\n255\n`), ...pixels]), ext: "ppm" };
+};
+
+// 画像モード用のグリッドエディタ (ドラッグで連続して塗れる)
+const ImageEditor = ({ grid, setGrid, palette, paintColor }) => {
+  const [drawValue, setDrawValue] = useState(null); // ドラッグ中に塗る色 (null = 描画していない)
+  const cols = grid[0].length;
+
+  useEffect(() => {
+    const stop = () => setDrawValue(null);
+    window.addEventListener("mouseup", stop);
+    return () => window.removeEventListener("mouseup", stop);
+  }, []);
+
+  const paintPixel = (row, col, value) => {
+    if (grid[row][col] === value) return;
+    const newGrid = [...grid];
+    newGrid[row] = [...newGrid[row]];
+    newGrid[row][col] = value;
+    setGrid(newGrid);
+  };
+
+  // 同じ色のマスを押したら白(0)に戻す
+  const startPaint = (row, col) => {
+    const value = grid[row][col] === paintColor ? 0 : paintColor;
+    setDrawValue(value);
+    paintPixel(row, col, value);
+  };
+
+  return (
+    <div className="flex flex-col items-center">
+      <div className="grid gap-px bg-gray-300 p-1 border rounded shadow-inner select-none" style={pixelGridStyle(cols)}>
+        {grid.map((row, rIdx) => (
+          row.map((cell, cIdx) => (
+            <div
+              key={`${rIdx}-${cIdx}`}
+              onMouseDown={() => startPaint(rIdx, cIdx)}
+              onMouseEnter={() => drawValue !== null && paintPixel(rIdx, cIdx, drawValue)}
+              className="cursor-pointer transition-colors duration-150 hover:opacity-80"
+              style={pixelStyle(cols, palette.colors[cell])}
+            />
+          ))
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-2">クリック・ドラッグで選んだ色を塗れます（同じ色のマスを押すと白に戻ります）</p>
+    </div>
+  );
+};
+
+// 圧縮率にヘッダーを含めるかの切り替え
+const HeaderToggle = ({ includeHeader, setIncludeHeader }) => (
+  <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+    <input type="checkbox" checked={includeHeader} onChange={(e) => setIncludeHeader(e.target.checked)} />
+    圧縮率にヘッダー（符号表など）を含める
+  </label>
+);
+
+// ファイルの内訳: 共通ヘッダー / 方式ごとのヘッダー（符号表など）/ データ本体 を帯グラフで表示
+const SizeBreakdown = ({ result, algo }) => {
+  const commonBits = CompressionLogic.container.commonHeaderBits;
+  const parts = [
+    { label: "共通ヘッダー", bits: commonBits, color: "bg-gray-400" },
+    { label: algo === "huffman" ? "符号表など" : "方式ごとのヘッダー", bits: result.headerBits - commonBits, color: "bg-amber-400" },
+    { label: "データ本体", bits: result.payloadBits, color: "bg-indigo-500" }
+  ];
+  return (
+    <div className="text-xs">
+      <div className="flex h-4 rounded overflow-hidden border border-gray-200">
+        {parts.map(part => (
+          <div key={part.label} className={part.color} style={{ width: `${(part.bits / result.fileBits) * 100}%` }} title={`${part.label}: ${part.bits} bits`}></div>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-3 mt-1 text-gray-600">
+        {parts.map(part => (
+          <span key={part.label} className="flex items-center gap-1">
+            <span className={`inline-block w-3 h-3 rounded-sm ${part.color}`}></span>
+            {part.label} {part.bits} bits
+          </span>
+        ))}
+        <span className="text-gray-400">元データ {result.originalLength} bits</span>
+      </div>
+    </div>
+  );
+};
+
+// RLE の方式ごとの比較: 同じ入力をそれぞれの方式で書いた場合の圧縮データとサイズ
+const RleVariantEffect = ({ inputText, result, countBits }) => {
+  const logic = CompressionLogic;
+  const rows = Object.keys(RLE_VARIANT_LABELS).map(variant => ({ variant, res: logic.rle.encode(inputText, { variant, countBits }) }));
+  return (
+    <div className="mt-2 text-sm space-y-2">
+      <div className="bg-red-50 p-3 rounded border border-red-100 text-red-900">
+        基本の RLE は連続しない文字にも個数を付けるため、「A」→「A1」のように増えてしまいます。
+        PackBits や目印方式は、連続しない部分をそのまま書くことでこの弱点を抑えます。
+      </div>
+      <div className="font-bold">方式ごとの比較:</div>
+      <table className="w-full text-left border-collapse">
+        <tbody>
+          {rows.map(({ variant, res }) => (
+            <tr key={variant} className={variant === result.variant ? "bg-gray-50 font-bold" : ""}>
+              <td className="p-1 border border-gray-200">{RLE_VARIANT_LABELS[variant]}{variant === "fixed" && ` ${countBits}bit`}</td>
+              <td className="p-1 border border-gray-200 font-mono break-all">{res.encoded}</td>
+              <td className="p-1 border border-gray-200 font-mono text-right whitespace-nowrap">{res.fileBits} bits</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// LZW のデータ本体の内訳: 実際に書き出したコード幅ごとに個数とビット数を数える
+const LzwCodeCost = ({ result }) => {
+  const groups = [];
+  result.codeWidths.forEach(width => {
+    const group = groups.find(g => g.width === width);
+    if (group) group.count++;
+    else groups.push({ width, count: 1 });
+  });
+  return (
+    <div className="mt-2 text-sm bg-purple-50 p-3 rounded border border-purple-100 text-purple-900 space-y-1">
+      <div>
+        コードの幅は {result.startWidth}bit から始まり、辞書が育つにつれて広がります（最大 {result.codeWidth}bit、辞書の上限 {result.maxDictSize}個）。
+        {result.resets > 0 && ` 辞書が上限に達したため、クリアコード(${result.clearCode})で ${result.resets} 回初期化しました。`}
+      </div>
+      <div className="font-mono text-xs">
+        {groups.map(g => `${g.width}bit × ${g.count}`).join(" + ")} = {result.codeBits} bits
+        {result.payloadBits > result.codeBits && `（バイト境界までの余り ${result.payloadBits - result.codeBits} bits を足してデータ本体 ${result.payloadBits} bits）`}
+      </div>
+    </div>
+  );
+};
+
+// 変換 (BWT・MTF) の効果: そのまま圧縮した場合と、変換してから圧縮した場合のサイズを比べる
+const TransformEffect = ({ algo, inputText, result }) => {
+  const logic = CompressionLogic;
+  const chains = algo === "bwt"
+    ? [["rle"], ["bwt", "rle"], ["huffman"], ["bwt", "huffman"], ["bwt", "mtf", "huffman"]]
+    : [["rle"], ["mtf", "rle"], ["huffman"], ["mtf", "huffman"]];
+  const rows = chains.map(stages => ({ stages, bits: logic.pipeline.run(inputText, stages).finalBits }));
+  return (
+    <div className="mt-2 text-sm space-y-2">
+      <div className="bg-amber-50 p-3 rounded border border-amber-100 text-amber-900">
+        {algo === "bwt"
+          ? <>並べ替えた結果: <span className="font-mono font-bold">{result.encoded}</span>（元の並びは {result.primaryIndex} 行目）。同じ文字が隣り合うように集まっています。</>
+          : <>番号の並び: <span className="font-mono font-bold">{result.encoded}</span>（初期リスト {result.alphabet.map(visibleSymbol).join(" ")}）。同じ文字が続くところが 0 になります。</>}
+      </div>
+      <div className="font-bold">後ろに圧縮をつないだ場合のファイルサイズ:</div>
+      <table className="w-full text-left border-collapse">
+        <tbody>
+          {rows.map(({ stages, bits }) => (
+            <tr key={stages.join("-")} className={stages[0] === algo ? "bg-gray-50" : ""}>
+              <td className="p-1 border border-gray-200">{stages.map(a => ALGO_LABELS[a]).join(" → ")}</td>
+              <td className="p-1 border border-gray-200 font-mono text-right">{bits} bits</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500">短い文字列ではヘッダーの分で差が出にくいことがあります。「パイプライン」タブで長い文章を試してみましょう。</p>
+    </div>
+  );
+};
+
+// 組み合わせ圧縮（パイプライン）: 複数のアルゴリズムを順につなげて圧縮する
+const PIPELINE_PRESETS = [
+  { label: "LZ77 → ハフマン (Deflate風)", stages: ["lz77", "huffman"] },
+  { label: "RLE → ハフマン (FAX風)", stages: ["rle", "huffman"] },
+  { label: "LZW → ハフマン", stages: ["lzw", "huffman"] },
+  { label: "ハフマン → RLE", stages: ["huffman", "rle"] },
+  { label: "BWT → RLE", stages: ["bwt", "rle"] },
+  { label: "BWT → MTF → ハフマン (bzip2風)", stages: ["bwt", "mtf", "huffman"] },
+];
+const STAGE_COLORS = {
+  rle: "bg-red-500", huffman: "bg-green-500", adaptiveHuffman: "bg-emerald-700", arithmetic: "bg-cyan-500", lzw: "bg-purple-500", lz77: "bg-orange-500",
+  bwt: "bg-amber-500", mtf: "bg-lime-500"
+};
+const MAX_STAGES = 4;
+
+const PipelinePanel = ({ inputText, setInputText }) => {
+  const logic = CompressionLogic;
+  const [stages, setStages] = useState(["lz77", "huffman"]);
+  const [pipelineResult, setPipelineResult] = useState(null);
+
+  useEffect(() => {
+    setPipelineResult(null);
+  }, [inputText, stages]);
+
+  const updateStage = (idx, value) => setStages(stages.map((s, i) => i === idx ? value : s));
+  const removeStage = (idx) => setStages(stages.filter((_, i) => i !== idx));
+
+  const handleRun = () => {
+    if (!inputText) return;
+    setPipelineResult(logic.pipeline.run(inputText, stages));
+  };
+
+  const chartData = pipelineResult ? [
+    { label: "元データ", value: pipelineResult.originalBits, displayValue: `${pipelineResult.originalBits} bits`, color: "bg-gray-400" },
+    ...pipelineResult.stages.map((st, i) => ({
+      label: `${i + 1}. ${ALGO_LABELS[st.algo]}`,
+      value: st.fileBits,
+      displayValue: `${st.fileBits} bits`,
+      color: STAGE_COLORS[st.algo]
+    }))
+  ] : [];
+
+  return (
+    <div className="space-y-6 max-w-4xl mx-auto">
+      <Card title="組み合わせ圧縮 (パイプライン)">
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            実際のファイル形式は、複数のアルゴリズムを順番につなげて使います（例: ZIPの Deflate = LZ77 + ハフマン符号化）。
+            2段目以降は、前の段が出力した記号の並び（文字・個数・コードなど）を圧縮します。
+          </p>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">圧縮したい文字列</label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={inputText}
+                onChange={(e) => setInputText(e.target.value)}
+                className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none font-mono"
+              />
+              <Button onClick={() => setInputText("TOBEORNOTTOBEORTOBEORNOT".repeat(4))} variant="outline">長文例</Button>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">段の構成</label>
+            <div className="flex flex-wrap items-center gap-2">
+              {stages.map((stage, idx) => (
+                <React.Fragment key={idx}>
+                  {idx > 0 && <span className="text-gray-400 font-bold">→</span>}
+                  <div className="flex items-center gap-1 bg-gray-50 border border-gray-200 rounded-lg p-1">
+                    <span className="text-xs text-gray-500 px-1">{idx + 1}段目</span>
+                    <select
+                      value={stage}
+                      onChange={(e) => updateStage(idx, e.target.value)}
+                      className="p-1 border border-gray-300 rounded text-sm outline-none"
+                    >
+                      {logic.pipeline.stageAlgos.map(a => <option key={a} value={a}>{ALGO_LABELS[a]}</option>)}
+                    </select>
+                    {stages.length > 1 && (
+                      <button onClick={() => removeStage(idx)} className="text-gray-400 hover:text-red-500 px-1" title="この段を削除">✕</button>
+                    )}
+                  </div>
+                </React.Fragment>
+              ))}
+              <Button onClick={() => setStages([...stages, "huffman"])} variant="outline" size="sm" disabled={stages.length >= MAX_STAGES}>+ 段を追加</Button>
+            </div>
+            <div className="flex flex-wrap gap-2 mt-2">
+              {PIPELINE_PRESETS.map(preset => (
+                <Button key={preset.label} onClick={() => setStages(preset.stages)} variant="ghost" size="sm">{preset.label}</Button>
+              ))}
+            </div>
+          </div>
+
+          <Button onClick={handleRun} className="w-full" disabled={!inputText}>パイプラインを実行</Button>
+        </div>
+      </Card>
+
+      {pipelineResult && (
+        <>
+          <Card title="段ごとのサイズの変化">
+            <SimpleBarChart data={chartData} />
+          </Card>
+
+          {pipelineResult.stages.map((st, i) => (
+            <Card key={i} title={`${i + 1}段目: ${ALGO_LABELS[st.algo]}`}>
+              <div className="space-y-3 text-sm">
+                <div className="text-xs text-gray-500">
+                  入力: {i === 0 ? "元の文字列" : `${i}段目の出力記号列`} ({st.inputCount}個, {st.inputBits} bits)
+                </div>
+                <div>
+                  <div className="text-xs text-gray-500 mb-1">中間出力</div>
+                  <div className="font-mono bg-gray-800 text-green-400 p-2 rounded max-h-24 overflow-y-auto break-all text-xs">
+                    {st.encoded.length > 400 ? `${st.encoded.slice(0, 400)}…` : st.encoded}
+                  </div>
+                </div>
+                <div className="flex flex-wrap justify-between gap-2">
+                  <span>
+                    ファイルサイズ: <span className="font-mono font-bold">{st.fileBits} bits</span>
+                    <span className="text-xs text-gray-400 ml-1">(ヘッダー {st.headerBits} + データ本体 {st.payloadBits})</span>
+                  </span>
+                  <span className={`font-bold ${st.change <= 0 ? "text-green-600" : "text-red-600"}`}>
+                    {i === 0 ? "元データから" : "前の段から"} {st.change <= 0 ? `${-st.change} bits 減少` : `${st.change} bits 増加`}
+                  </span>
+                </div>
+              </div>
+            </Card>
+          ))}
+
+          <div className="text-sm bg-yellow-50 p-3 rounded border border-yellow-100 text-yellow-800">
+            <span className="font-bold">考察:</span><br/>
+            {pipelineResult.stages.length === 1
+              ? "1段だけの圧縮です。「+ 段を追加」で別のアルゴリズムをつなげ、サイズがどう変わるか比べてみましょう。"
+              : pipelineResult.stages.slice(1).some(st => st.change > 0)
+              ? "段を重ねたことで逆にサイズが増えた段があります。前の段の出力に偏りが少ない場合や、データが短く符号表などのヘッダーの負担が大きい場合は、組み合わせても効果が出ません。"
+              : "段を重ねるごとにサイズが小さくなりました。前の段の出力に残っている偏り（よく出る記号）を、次の段がさらに取り除いています。"}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// 非可逆圧縮 (DCT) で使うグレー画像: pixel(行, 列, 一辺) → 明るさ (0 = 黒 〜 255 = 白)
+const LOSSY_SOURCES = [
+  { key: "gradient", label: "なめらかなグラデーション", pixel: (r, c, n) => Math.round(255 * (r + c) / (2 * (n - 1))) },
+  { key: "blur", label: "ぼかした円", pixel: (r, c, n) => Math.round(240 - 200 * Math.exp(-((r - (n - 1) / 2) ** 2 + (c - (n - 1) / 2) ** 2) / (2 * (n / 4) ** 2))) },
+  { key: "square", label: "くっきりした四角形", pixel: (r, c, n) => (r >= n / 4 && r < n * 3 / 4 && c >= n / 4 && c < n * 3 / 4) ? 40 : 230 },
+  { key: "checker", label: "市松模様 (細かい模様)", pixel: (r, c) => (r + c) % 2 ? 30 : 225 },
+  { key: "noise", label: "ノイズ", pixel: () => Math.floor(Math.random() * 256) },
+  { key: "image", label: "画像タブの絵を使う", pixel: null }
+];
+const QUALITY_STEPS = [10, 30, 50, 75, 90, 100];
+
+// PSNR の目安
+const psnrComment = (psnr) => {
+  if (psnr === Infinity) return "元の画像と完全に一致しています。";
+  if (psnr >= 40) return "見た目ではほとんど区別できません。";
+  if (psnr >= 30) return "よく見ると違いが分かります。";
+  return "劣化がはっきり目立ちます。";
+};
+const formatPsnr = (psnr) => psnr === Infinity ? "∞" : `${psnr.toFixed(1)} dB`;
+
+// グレー画像の表示。selected を渡すとそのブロック (8×8) を枠で囲み、クリックで選べる
+// toColor: 明るさ以外 (誤差など) を色にするときに使う
+const GrayImage = ({ pixels, selected = null, onSelectBlock = null, toColor = (v) => `rgb(${v}, ${v}, ${v})` }) => {
+  const n = pixels.length;
+  const size = PIXEL_SIZES[n] || 9;
+  const blockSize = CompressionLogic.dct.blockSize;
+  return (
+    <div className="relative inline-block bg-gray-300 p-px">
+      <div className="grid gap-0" style={{ gridTemplateColumns: `repeat(${n}, ${size}px)` }}>
+        {pixels.flatMap((row, r) => row.map((v, c) => (
+          <div
+            key={`${r}-${c}`}
+            onClick={onSelectBlock ? () => onSelectBlock(Math.floor(r / blockSize), Math.floor(c / blockSize)) : undefined}
+            className={onSelectBlock ? "cursor-pointer" : ""}
+            style={{ width: size, height: size, backgroundColor: toColor(v) }}
+            title={String(v)}
+          ></div>
+        )))}
+      </div>
+      {selected && (
+        <div
+          className="absolute border-2 border-red-500 pointer-events-none"
+          style={{ top: 1 + selected.row * blockSize * size, left: 1 + selected.col * blockSize * size, width: blockSize * size, height: blockSize * size }}
+        ></div>
+      )}
+    </div>
+  );
+};
+
+// 8×8 の数値を色付きの表で示す
+// signed: 正 = 青・負 = 赤で大きさを濃さに、gray: 明るさそのもの、plain: 値が大きいほど濃いオレンジ
+const MatrixHeatmap = ({ title, values, mode = "signed", note = "" }) => {
+  // 小数の係数は四捨五入して表示する (-0 は 0 にそろえる)
+  const flat = values.flat().map(v => Math.round(v) || 0);
+  const maxAbs = Math.max(1, ...flat.map(v => Math.abs(v)));
+  const cellStyle = (v) => {
+    if (mode === "gray") return { backgroundColor: `rgb(${v}, ${v}, ${v})`, color: v < 128 ? "#fff" : "#000" };
+    if (mode === "plain") return { backgroundColor: `rgba(245, 158, 11, ${v / maxAbs})` };
+    if (v === 0) return { backgroundColor: "#f3f4f6", color: "#9ca3af" };
+    // 大きさの差が大きいので、平方根で濃さをならす
+    const alpha = 0.15 + 0.85 * Math.sqrt(Math.abs(v) / maxAbs);
+    return { backgroundColor: v > 0 ? `rgba(37, 99, 235, ${alpha})` : `rgba(220, 38, 38, ${alpha})`, color: alpha > 0.6 ? "#fff" : "#000" };
+  };
+  return (
+    <div>
+      <div className="text-xs font-bold text-gray-600 mb-1">{title}</div>
+      <div className="grid grid-cols-8 gap-px bg-gray-200 border border-gray-200 w-fit">
+        {flat.map((v, k) => (
+          <div key={k} className="w-9 h-7 flex items-center justify-center font-mono text-[10px]" style={cellStyle(v)}>
+            {v}
+          </div>
+        ))}
+      </div>
+      {note && <div className="text-[10px] text-gray-400 mt-1 max-w-[18rem]">{note}</div>}
+    </div>
+  );
+};
+
+// 非可逆圧縮 (JPEG 風) のパネル: DCT → 量子化 → ジグザグ → RLE → ハフマン と、復元した画像の誤差を見る
+const LossyPanel = ({ grid, palette }) => {
+  const logic = CompressionLogic;
+  const [sourceKey, setSourceKey] = useState("gradient");
+  const [size, setSize] = useState(16);
+  const [quality, setQuality] = useState(50);
+  const [selected, setSelected] = useState({ row: 0, col: 0 });
+
+  // 画像タブの絵は、パレットの色の明るさに直して使う
+  const pixels = useMemo(() => {
+    if (sourceKey === "image") {
+      const rgbs = palette.colors.map(colorToRgb);
+      return grid.map(row => row.map(v => {
+        const [red, green, blue] = rgbs[v];
+        return Math.round(0.299 * red + 0.587 * green + 0.114 * blue);
+      }));
+    }
+    const source = LOSSY_SOURCES.find(src => src.key === sourceKey);
+    return makeGrid(size, (r, c) => source.pixel(r, c, size));
+  }, [sourceKey, size, grid, palette]);
+
+  const result = useMemo(() => logic.dct.encode(pixels, { quality }), [pixels, quality]);
+
+  // 同じ画像を可逆圧縮した場合 (1画素 8bit の記号として圧縮)
+  const lossless = useMemo(() => {
+    const flat = pixels.flat();
+    return [
+      { label: "RLE", res: logic.rle.encode(flat, { symbolBits: 8 }), color: "bg-red-500" },
+      { label: "ハフマン", res: logic.huffman.encode(flat, { symbolBits: 8 }), color: "bg-green-500" },
+      { label: "LZW", res: logic.lzw.encode(flat, { symbolBits: 8 }), color: "bg-purple-500" }
+    ];
+  }, [pixels]);
+
+  // 品質を変えたときのサイズと画質
+  const qualitySweep = useMemo(() => QUALITY_STEPS.map(q => {
+    const res = logic.dct.encode(pixels, { quality: q });
+    return { quality: q, bits: res.compressedBits, psnr: res.psnr };
+  }), [pixels]);
+
+  useEffect(() => {
+    setSelected({ row: 0, col: 0 });
+  }, [pixels.length]);
+
+  const block = result.blocks.find(b => b.row === selected.row && b.col === selected.col) || result.blocks[0];
+  const description = logic.dct.getDescription();
+  const lastNonZero = block.zigzag.reduce((last, v, k) => v !== 0 ? k : last, -1);
+  const maxError = Math.max(1, ...pixels.flatMap((row, r) => row.map((v, c) => Math.abs(v - result.reconstructed[r][c]))));
+
+  const chartData = [
+    { label: "元データ", value: result.originalBits, displayValue: `${result.originalBits} bits`, color: "bg-gray-400" },
+    ...lossless.map(({ label, res, color }) => ({ label: `${label} (可逆)`, value: res.fileBits, displayValue: `${res.fileBits} bits`, color })),
+    { label: "DCT (非可逆)", value: result.compressedBits, displayValue: `${result.compressedBits} bits`, color: "bg-pink-500" }
+  ];
+
+  return (
+    <div className="space-y-6 max-w-5xl mx-auto">
+      <Card title="1. 画像と品質の設定">
+        <div className="space-y-3 text-sm">
+          <p className="text-gray-600">{description.summary}</p>
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="font-medium text-gray-700">画像:</label>
+            <select value={sourceKey} onChange={(e) => setSourceKey(e.target.value)} className="p-1 border border-gray-300 rounded outline-none">
+              {LOSSY_SOURCES.map(src => <option key={src.key} value={src.key}>{src.label}</option>)}
+            </select>
+            {sourceKey !== "image" && (
+              <>
+                <label className="font-medium text-gray-700">大きさ:</label>
+                <select value={size} onChange={(e) => setSize(Number(e.target.value))} className="p-1 border border-gray-300 rounded outline-none">
+                  {[8, 16, 32].map(n => <option key={n} value={n}>{n}×{n}</option>)}
+                </select>
+              </>
+            )}
+          </div>
+          <div className="flex items-center gap-3">
+            <label className="font-medium text-gray-700 whitespace-nowrap">品質: {quality}</label>
+            <input type="range" min="1" max="100" value={quality} onChange={(e) => setQuality(Number(e.target.value))} className="flex-1" />
+          </div>
+          <div className="text-xs text-gray-500">品質を下げるほど量子化テーブルの値が大きくなり、細かい成分が 0 に丸められてデータが小さくなります。</div>
+        </div>
+      </Card>
+
+      <Card title="2. 元の画像と復元した画像">
+        <div className="flex flex-wrap gap-6 items-start">
+          <div>
+            <div className="text-xs font-bold text-gray-600 mb-1">元の画像 (クリックでブロックを選ぶ)</div>
+            <GrayImage pixels={pixels} selected={selected} onSelectBlock={(row, col) => setSelected({ row, col })} />
+          </div>
+          <div>
+            <div className="text-xs font-bold text-gray-600 mb-1">復元した画像 (品質 {quality})</div>
+            <GrayImage pixels={result.reconstructed} selected={selected} onSelectBlock={(row, col) => setSelected({ row, col })} />
+          </div>
+          <div>
+            <div className="text-xs font-bold text-gray-600 mb-1">誤差 (赤いほど大きい, 最大 {maxError})</div>
+            <GrayImage
+              pixels={pixels.map((row, r) => row.map((v, c) => Math.abs(v - result.reconstructed[r][c])))}
+              toColor={(e) => `rgb(255, ${Math.round(255 - 255 * e / maxError)}, ${Math.round(255 - 255 * e / maxError)})`}
+            />
+          </div>
+          <div className="text-sm space-y-1 min-w-[12rem]">
+            <div>PSNR: <span className="font-mono font-bold text-lg">{formatPsnr(result.psnr)}</span></div>
+            <div className="text-gray-500">平均二乗誤差 (MSE): <span className="font-mono">{result.mse.toFixed(2)}</span></div>
+            <div className="text-xs bg-gray-50 p-2 rounded border border-gray-200">
+              {psnrComment(result.psnr)}<br/>
+              PSNR は元の画像との近さを表す値で、大きいほど劣化が少なく、40dB 以上ならほぼ見分けがつきません。
+            </div>
+          </div>
+        </div>
+      </Card>
+
+      <Card title={`3. ブロック (${selected.row + 1}行目, ${selected.col + 1}列目) の変換と量子化`}>
+        <div className="flex flex-wrap gap-4">
+          <MatrixHeatmap title="① 元の明るさ" values={block.pixels} mode="gray" />
+          <MatrixHeatmap title="② DCT 係数" values={block.coefficients} note="左上が平均の明るさ (直流成分)、右下ほど細かい模様 (高い周波数) の成分。青 = 正、赤 = 負" />
+          <MatrixHeatmap title={`③ 量子化テーブル (品質 ${quality})`} values={result.quantTable} mode="plain" note="係数をこの値で割って四捨五入します。右下ほど大きく、細かい模様ほど粗く丸めます" />
+          <MatrixHeatmap title="④ 量子化した係数" values={block.quantized} note={`64個のうち 0 でないのは ${block.nonZero} 個だけ`} />
+          <MatrixHeatmap title="⑤ 復元した明るさ" values={block.reconstructed} mode="gray" note="④ に量子化テーブルを掛けて戻し、逆 DCT で明るさに戻したもの" />
+        </div>
+        <div className="mt-4">
+          <div className="text-xs font-bold text-gray-600 mb-1">⑥ ジグザグ順に並べた係数 (低い周波数 → 高い周波数)</div>
+          <div className="flex flex-wrap gap-0.5 font-mono text-xs">
+            {block.zigzag.slice(0, lastNonZero + 1).map((v, k) => (
+              <span key={k} className={`px-1 border rounded ${v === 0 ? "bg-gray-50 border-gray-200 text-gray-400" : "bg-blue-50 border-blue-300 font-bold"}`}>{v}</span>
+            ))}
+            {lastNonZero < 63 && (
+              <span className="px-1 border rounded bg-gray-100 border-gray-300 text-gray-500">以降 {63 - lastNonZero} 個すべて 0</span>
+            )}
+          </div>
+          <div className="text-xs text-gray-500 mt-1">後ろに 0 が続くので、RLE で「0 が何個」とまとめると短くなります。</div>
+        </div>
+      </Card>
+
+      <Card title="4. 係数の圧縮 (ジグザグ → RLE → ハフマン)">
+        <div className="text-sm space-y-2">
+          <div className="text-gray-600">
+            全ブロックの係数 ({result.coefficientSymbols.length}個) をジグザグ順につなげ、符号付きの値を 0 以上の番号に並べ直して ({result.symbolBits}bit)、
+            ランレングス圧縮 → ハフマン符号化の順に圧縮します。
+          </div>
+          <table className="w-full text-left border-collapse">
+            <tbody>
+              <tr>
+                <td className="p-1 border border-gray-200">量子化した係数 ({result.coefficientSymbols.length}個 × {result.symbolBits}bit)</td>
+                <td className="p-1 border border-gray-200 font-mono text-right">{result.coefficientSymbols.length * result.symbolBits} bits</td>
+              </tr>
+              {result.entropyCoding.stages.map((stage, i) => (
+                <tr key={i}>
+                  <td className="p-1 border border-gray-200">→ {ALGO_LABELS[stage.algo]}</td>
+                  <td className="p-1 border border-gray-200 font-mono text-right">{stage.fileBits} bits</td>
+                </tr>
+              ))}
+              <tr className="font-bold bg-gray-50">
+                <td className="p-1 border border-gray-200">+ 画像の大きさと品質 ({result.headerBits} bits) = 圧縮後</td>
+                <td className="p-1 border border-gray-200 font-mono text-right">{result.compressedBits} bits ({Math.round(result.ratio)}%)</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      <Card title="5. 非可逆圧縮と可逆圧縮の比較">
+        <SimpleBarChart data={chartData} note={`※元データは1画素 8bit。可逆圧縮は元の画像に完全に戻り、非可逆 (品質 ${quality}) は PSNR ${formatPsnr(result.psnr)}`} />
+        <div className="mt-4 text-sm">
+          <div className="font-bold mb-1">品質を変えた場合:</div>
+          <table className="w-full text-left border-collapse">
+            <thead>
+              <tr className="bg-gray-50 text-gray-600">
+                <th className="p-1 border border-gray-200">品質</th>
+                <th className="p-1 border border-gray-200 text-right">圧縮後</th>
+                <th className="p-1 border border-gray-200 text-right">PSNR</th>
+              </tr>
+            </thead>
+            <tbody>
+              {qualitySweep.map(row => (
+                <tr key={row.quality} className={row.quality === quality ? "bg-pink-50 font-bold" : ""}>
+                  <td className="p-1 border border-gray-200">{row.quality}</td>
+                  <td className="p-1 border border-gray-200 font-mono text-right">{row.bits} bits ({Math.round((row.bits / result.originalBits) * 100)}%)</td>
+                  <td className="p-1 border border-gray-200 font-mono text-right">{formatPsnr(row.psnr)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="mt-3 text-sm bg-yellow-50 p-3 rounded border border-yellow-100 text-yellow-800">
+          <span className="font-bold">考察:</span> {description.pros} 一方で、{description.cons}
+          なめらかな画像と、市松模様やくっきりした四角形とで、サイズと PSNR がどう変わるか比べてみましょう。
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+// 音声タブ: 合成できる波形と、標本化・量子化の選択肢
+const AUDIO_WAVES = { sine: "正弦波 (純音)", chord: "和音 (ドミソ)", square: "矩形波", sawtooth: "のこぎり波", noise: "雑音 (ノイズ)" };
+const AUDIO_SYNTH_RATE = 8000; // 合成する音の標本化周波数 (Hz)
+const AUDIO_SYNTH_DURATION = 0.5; // 秒
+const AUDIO_STEPS = [1, 2, 4, 8];
+const AUDIO_BIT_DEPTHS = [16, 12, 8, 6, 4, 3, 2, 1];
+const AUDIO_ENCODERS = [
+  { key: "rle", label: "RLE", color: "bg-red-500" },
+  { key: "huffman", label: "ハフマン", color: "bg-green-500" },
+  { key: "lzw", label: "LZW", color: "bg-purple-500" }
+];
+const formatSnr = (snr) => snr === Infinity ? "∞" : `${snr.toFixed(1)} dB`;
+
+// 標本の並びをブラウザで鳴らす
+const playSamples = (samples, sampleRate) => {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) return;
+  const ctx = new AudioCtx();
+  const buffer = ctx.createBuffer(1, samples.length, sampleRate);
+  buffer.getChannelData(0).set(samples);
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.connect(ctx.destination);
+  source.onended = () => ctx.close();
+  source.start();
+};
+
+// 波形のグラフ: 元の波形 (灰色の線) と、標本化・量子化して戻した波形 (階段状の線) を重ねる
+const WaveformPlot = ({ original, reconstructed, step, bitDepth, length }) => {
+  const width = 640;
+  const height = 200;
+  const count = Math.min(length, original.length);
+  const x = (i) => (i / Math.max(count - 1, 1)) * width;
+  const y = (v) => height / 2 - v * (height / 2 - 4);
+  const originalPoints = original.slice(0, count).map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(" ");
+  const stepPoints = reconstructed.slice(0, count).flatMap((v, i) => [`${x(i).toFixed(1)},${y(v).toFixed(1)}`, `${x(Math.min(i + 1, count - 1)).toFixed(1)},${y(v).toFixed(1)}`]).join(" ");
+  const sampleIndexes = [];
+  for (let i = 0; i < count; i += step) sampleIndexes.push(i);
+  const levels = bitDepth <= 4 ? Array.from({ length: 2 ** bitDepth }, (_, k) => k / (2 ** bitDepth - 1) * 2 - 1) : [];
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-48 bg-white border border-gray-200 rounded">
+      {levels.map(level => (
+        <line key={level} x1="0" x2={width} y1={y(level)} y2={y(level)} stroke="#e0e7ff" strokeDasharray="4 3" />
+      ))}
+      <line x1="0" x2={width} y1={height / 2} y2={height / 2} stroke="#e5e7eb" />
+      <polyline points={originalPoints} fill="none" stroke="#9ca3af" strokeWidth="1.5" />
+      <polyline points={stepPoints} fill="none" stroke="#4f46e5" strokeWidth="1.5" />
+      {sampleIndexes.length <= 200 && sampleIndexes.map(i => (
+        <circle key={i} cx={x(i)} cy={y(reconstructed[i])} r="2.5" fill="#4f46e5" />
+      ))}
+    </svg>
+  );
+};
+
+// 音声の圧縮パネル: 音を作る (または WAV を読む) → 標本化 → 量子化 → (差分) → RLE / ハフマン / LZW
+const AudioPanel = () => {
+  const logic = CompressionLogic;
+  const [wave, setWave] = useState("sine");
+  const [frequency, setFrequency] = useState(220);
+  const [wavData, setWavData] = useState(null); // 読み込んだ WAV (null なら合成した音を使う)
+  const [wavNotice, setWavNotice] = useState(null);
+  const [step, setStep] = useState(1);
+  const [bitDepth, setBitDepth] = useState(8);
+  const [useDelta, setUseDelta] = useState(true);
+  const [viewLength, setViewLength] = useState(160);
+
+  const source = useMemo(() => (wavData
+    ? { samples: wavData.samples, sampleRate: wavData.sampleRate, sourceBits: wavData.bitDepth }
+    : { samples: logic.audio.synthesize(wave, { sampleRate: AUDIO_SYNTH_RATE, duration: AUDIO_SYNTH_DURATION, frequency }), sampleRate: AUDIO_SYNTH_RATE, sourceBits: logic.audio.sourceBits }
+  ), [wavData, wave, frequency]);
+
+  const result = useMemo(() => logic.audio.process(source.samples, { sampleRate: source.sampleRate, sourceBits: source.sourceBits, step, bitDepth }), [source, step, bitDepth]);
+  const stream = useDelta ? result.delta : result.plain;
+
+  const handleWavUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.arrayBuffer().then(buffer => {
+      try {
+        const data = logic.audio.parseWav(new Uint8Array(buffer));
+        setWavData(data);
+        setWavNotice({ ok: true, message: `「${file.name}」(${data.sampleRate}Hz, ${data.bitDepth}bit, ${data.channels}ch) を読み込みました。${data.trimmed ? `長いので先頭の ${data.samples.length} 個の標本 (${(data.samples.length / data.sampleRate * 1000).toFixed(0)}ms) だけを使います。` : ""}` });
+      } catch (err) {
+        setWavNotice({ ok: false, message: err.message });
+      }
+    });
+  };
+
+  const chartData = [
+    { label: "元データ", value: result.originalBits, displayValue: `${result.originalBits} bits`, color: "bg-gray-400" },
+    { label: "標本化・量子化", value: result.pcmBits, displayValue: `${result.pcmBits} bits`, color: "bg-indigo-400" },
+    ...AUDIO_ENCODERS.map(({ key, label, color }) => ({
+      label: `${useDelta ? "差分+" : ""}${label}`,
+      value: stream.sizes[key],
+      displayValue: `${stream.sizes[key]} bits`,
+      color
+    }))
+  ];
+  const shownValues = (useDelta ? result.deltas : result.levels).slice(0, 24);
+
+  return (
+    <div className="space-y-6 max-w-5xl mx-auto">
+      <Card title="1. 音を用意する">
+        <div className="space-y-3 text-sm">
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="font-medium text-gray-700">波形:</label>
+            <select value={wave} onChange={(e) => { setWave(e.target.value); setWavData(null); setWavNotice(null); }} className="p-1 border border-gray-300 rounded outline-none">
+              {Object.entries(AUDIO_WAVES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            <label className="font-medium text-gray-700">高さ: {frequency}Hz</label>
+            <input type="range" min="110" max="1760" step="10" value={frequency} onChange={(e) => { setFrequency(Number(e.target.value)); setWavData(null); setWavNotice(null); }} className="w-40" />
+            <label className="px-3 py-1 border border-gray-300 text-gray-600 hover:bg-gray-50 rounded-lg cursor-pointer">
+              📂 WAV ファイルを開く
+              <input type="file" accept=".wav,audio/wav,audio/x-wav" onChange={handleWavUpload} className="hidden" />
+            </label>
+          </div>
+          {wavNotice && <div className={wavNotice.ok ? "text-green-700" : "text-red-600"}>{wavNotice.message}</div>}
+          <div className="text-xs text-gray-500">
+            {wavData
+              ? `読み込んだ音: ${wavData.sampleRate}Hz, ${wavData.bitDepth}bit, ${source.samples.length} 個の標本`
+              : `合成した音: ${AUDIO_SYNTH_RATE}Hz, ${logic.audio.sourceBits}bit, ${AUDIO_SYNTH_DURATION}秒 (${source.samples.length} 個の標本)`}
+            。ファイルはブラウザの中だけで処理し、どこにも送信しません。
+          </div>
+        </div>
+      </Card>
+
+      <Card title="2. 標本化・量子化・差分">
+        <div className="space-y-4 text-sm">
+          <div className="flex flex-wrap items-center gap-4">
+            <div className="flex items-center gap-2">
+              <label className="font-medium text-gray-700">標本化:</label>
+              <select value={step} onChange={(e) => setStep(Number(e.target.value))} className="p-1 border border-gray-300 rounded outline-none">
+                {AUDIO_STEPS.map(k => <option key={k} value={k}>{k === 1 ? "そのまま" : `${k}個に1個`} ({Math.round(source.sampleRate / k)}Hz)</option>)}
+              </select>
+            </div>
+            <div className="flex items-center gap-2">
+              <label className="font-medium text-gray-700">量子化ビット数:</label>
+              <select value={bitDepth} onChange={(e) => setBitDepth(Number(e.target.value))} className="p-1 border border-gray-300 rounded outline-none">
+                {AUDIO_BIT_DEPTHS.map(bits => <option key={bits} value={bits}>{bits}bit ({2 ** bits}段階)</option>)}
+              </select>
+            </div>
+            <label className="flex items-center gap-1 cursor-pointer">
+              <input type="checkbox" checked={useDelta} onChange={(e) => setUseDelta(e.target.checked)} />
+              <span className="font-medium text-gray-700">差分 (デルタ) 符号化</span>
+            </label>
+          </div>
+
+          <div>
+            <div className="flex justify-between items-center mb-1">
+              <div className="text-xs text-gray-500">
+                <span className="inline-block w-3 h-0.5 bg-gray-400 align-middle mr-1"></span>元の波形
+                <span className="inline-block w-3 h-0.5 bg-indigo-600 align-middle ml-3 mr-1"></span>標本化・量子化して戻した波形 (点 = 残した標本)
+              </div>
+              <select value={viewLength} onChange={(e) => setViewLength(Number(e.target.value))} className="p-1 border border-gray-300 rounded outline-none text-xs">
+                {[160, 800, logic.audio.maxSamples].map(n => (
+                  <option key={n} value={n}>先頭 {Math.round(Math.min(n, source.samples.length) / source.sampleRate * 1000)}ms</option>
+                ))}
+              </select>
+            </div>
+            <WaveformPlot original={source.samples} reconstructed={result.reconstructed} step={step} bitDepth={bitDepth} length={viewLength} />
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <Button onClick={() => playSamples(source.samples, source.sampleRate)} variant="outline" size="sm">🔊 元の音</Button>
+            <Button onClick={() => playSamples(result.reconstructed, source.sampleRate)} variant="outline" size="sm">🔊 標本化・量子化した音</Button>
+            <span>SNR: <span className="font-mono font-bold">{formatSnr(result.snr)}</span></span>
+            <span className="text-xs text-gray-500">(信号対雑音比。大きいほど元の音に近く、1bit 増やすごとに約 6dB 良くなります)</span>
+          </div>
+          {source.sampleRate / step < 2 * frequency && !wavData && wave !== "noise" && (
+            <div className="text-xs bg-red-50 p-2 rounded border border-red-100 text-red-700">
+              標本化周波数 ({Math.round(source.sampleRate / step)}Hz) が音の高さの2倍 ({2 * frequency}Hz) より低いため、元の波形を再現できません (標本化定理)。
+            </div>
+          )}
+
+          <div>
+            <div className="text-xs font-bold text-gray-600 mb-1">{useDelta ? "差分 (1つ前の標本との差) の並び" : "量子化した値の並び"} (先頭 {shownValues.length} 個)</div>
+            <div className="flex flex-wrap gap-0.5 font-mono text-xs">
+              {shownValues.map((v, k) => (
+                <span key={k} className={`px-1 border rounded ${k === 0 || !useDelta ? "bg-gray-50 border-gray-200" : Math.abs(v) <= 1 ? "bg-green-50 border-green-300" : "bg-white border-gray-200"}`}>{v}</span>
+              ))}
+            </div>
+            <div className="text-xs text-gray-500 mt-1">
+              {useDelta
+                ? "なめらかな音では隣どうしの値が近いので、差分は 0 に近い小さな値ばかりになり、ハフマン符号などで短く表せます。"
+                : "差分を使わないと、波の形に合わせて大きな値が次々に現れます。"}
+            </div>
+          </div>
+        </div>
+      </Card>
+
+      <Card title="3. 圧縮したサイズ">
+        <SimpleBarChart data={chartData} note={`※元データは ${source.sourceBits}bit × ${source.samples.length} 標本。RLE・ハフマン・LZW は実際に書き出したファイルのサイズ`} />
+        <table className="w-full text-left border-collapse text-sm mt-4">
+          <thead>
+            <tr className="bg-gray-50 text-gray-600">
+              <th className="p-1 border border-gray-200"></th>
+              <th className="p-1 border border-gray-200 text-right">そのまま ({result.plain.symbolBits}bit)</th>
+              <th className="p-1 border border-gray-200 text-right">差分 ({result.delta.symbolBits}bit)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {AUDIO_ENCODERS.map(({ key, label }) => (
+              <tr key={key}>
+                <td className="p-1 border border-gray-200">{label}</td>
+                {[result.plain, result.delta].map((s, k) => (
+                  <td key={k} className={`p-1 border border-gray-200 font-mono text-right ${(k === 1) === useDelta ? "font-bold bg-indigo-50" : ""}`}>{s.sizes[key]} bits</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="mt-3 text-sm bg-yellow-50 p-3 rounded border border-yellow-100 text-yellow-800">
+          <span className="font-bold">考察:</span> 標本化周波数と量子化ビット数を下げると、データは小さくなる代わりに元の音には戻らなくなります (非可逆)。
+          差分符号化と RLE・ハフマン・LZW は情報を失わない (可逆) ので、音質を変えずにどこまで小さくできるかを比べてみましょう。
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+// 練習問題タブ: 問題の種類・難しさと、成績の記録
+const QUIZ_KINDS = {
+  rleImage: "画像を RLE で書く",
+  huffmanCode: "ハフマン符号を答える",
+  lzwNext: "次の LZW コード",
+  bestAlgo: "最も小さくなる方式"
+};
+const QUIZ_LEVELS = { easy: "やさしい", normal: "ふつう", hard: "むずかしい" };
+const emptyQuizScore = () => Object.fromEntries(Object.keys(QUIZ_KINDS).map(kind => [kind, { correct: 0, total: 0 }]));
+
+// 練習問題パネル: CompressionLogic の実際の出力から出題し、答え合わせ・ヒント・成績を表示する
+const QuizPanel = () => {
+  const logic = CompressionLogic;
+  const [kind, setKind] = useState("rleImage");
+  const [level, setLevel] = useState("easy");
+  const [problem, setProblem] = useState(() => logic.quiz.generate("rleImage", "easy"));
+  const [answer, setAnswer] = useState("");
+  const [feedback, setFeedback] = useState(null); // { correct, message }
+  const [hintCount, setHintCount] = useState(0);
+  const [attempts, setAttempts] = useState(0);
+  const [solved, setSolved] = useState(false);
+  const [revealed, setRevealed] = useState(false);
+  const [score, setScore] = useState(emptyQuizScore);
+
+  const newProblem = (nextKind = kind, nextLevel = level) => {
+    setProblem(logic.quiz.generate(nextKind, nextLevel));
+    setAnswer("");
+    setFeedback(null);
+    setHintCount(0);
+    setAttempts(0);
+    setSolved(false);
+    setRevealed(false);
+  };
+
+  // 成績は最初の解答 (ヒントを見ても可、答えを見たら不可) だけを数える
+  const submit = (value = answer) => {
+    if (solved || revealed) return;
+    const res = logic.quiz.check(problem, value);
+    setFeedback(res);
+    if (!String(value).trim()) return;
+    if (attempts === 0) {
+      setScore(prev => ({ ...prev, [problem.kind]: { correct: prev[problem.kind].correct + (res.correct ? 1 : 0), total: prev[problem.kind].total + 1 } }));
+    }
+    setAttempts(attempts + 1);
+    if (res.correct) setSolved(true);
+  };
+
+  const reveal = () => {
+    if (attempts === 0) {
+      setScore(prev => ({ ...prev, [problem.kind]: { correct: prev[problem.kind].correct, total: prev[problem.kind].total + 1 } }));
+      setAttempts(1);
+    }
+    setRevealed(true);
+  };
+
+  const totals = Object.values(score).reduce((sum, s) => ({ correct: sum.correct + s.correct, total: sum.total + s.total }), { correct: 0, total: 0 });
+  const rate = (s) => s.total > 0 ? `${Math.round(s.correct / s.total * 100)}%` : "-";
+  const finished = solved || revealed;
+
+  return (
+    <div className="space-y-6 max-w-4xl mx-auto">
+      <Card title="1. 問題を選ぶ">
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <label className="font-medium text-gray-700">種類:</label>
+          <select value={kind} onChange={(e) => { setKind(e.target.value); newProblem(e.target.value, level); }} className="p-1 border border-gray-300 rounded outline-none">
+            {Object.entries(QUIZ_KINDS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <label className="font-medium text-gray-700">難しさ:</label>
+          <select value={level} onChange={(e) => { setLevel(e.target.value); newProblem(kind, e.target.value); }} className="p-1 border border-gray-300 rounded outline-none">
+            {Object.entries(QUIZ_LEVELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <Button onClick={() => newProblem()} size="sm">🎲 問題を出す</Button>
+        </div>
+        <div className="text-xs text-gray-500 mt-2">問題と正解は、このアプリの圧縮処理を実際に動かして作っています。</div>
+      </Card>
+
+      <Card title={`2. 問題 (${QUIZ_KINDS[problem.kind]} / ${QUIZ_LEVELS[problem.level]})`}>
+        <div className="space-y-4 text-sm">
+          <p className="text-gray-800 leading-relaxed">{problem.prompt}</p>
+
+          {problem.image && (
+            <div className="inline-grid gap-px bg-gray-300 border border-gray-300" style={{ gridTemplateColumns: `repeat(${problem.image.size}, 1.75rem)` }}>
+              {problem.image.pixels.map((v, i) => (
+                <div key={i} className={`w-7 h-7 flex items-center justify-center text-[10px] font-mono ${v ? "bg-gray-900 text-gray-500" : "bg-white text-gray-300"}`}>{v}</div>
+              ))}
+            </div>
+          )}
+
+          {problem.text && !problem.image && (
+            <div className="font-mono text-lg tracking-widest bg-gray-50 border border-gray-200 rounded p-2 break-all">{problem.text}</div>
+          )}
+
+          {problem.dictionary && (
+            <div className="text-xs text-gray-600">
+              <span className="font-bold">登録済みの辞書:</span> <span className="font-mono">{problem.dictionary.join(", ") || "(まだありません)"}</span>
+            </div>
+          )}
+
+          {problem.choices ? (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {problem.choices.map(choice => {
+                const isAnswer = finished && problem.answer.split(",").includes(choice.key);
+                const picked = answer === choice.key;
+                return (
+                  <button
+                    key={choice.key}
+                    onClick={() => { setAnswer(choice.key); submit(choice.key); }}
+                    disabled={finished}
+                    className={`p-2 border rounded text-left transition-colors ${isAnswer ? "bg-green-50 border-green-400 text-green-800 font-bold" : picked && feedback ? "bg-red-50 border-red-300 text-red-700" : "bg-white border-gray-300 hover:bg-indigo-50"}`}
+                  >
+                    {choice.label}
+                  </button>
+                );
+              })}
+            </div>
+          ) : (
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                value={answer}
+                onChange={(e) => setAnswer(e.target.value)}
+                onKeyDown={(e) => { if (e.key === "Enter") submit(); }}
+                placeholder={problem.placeholder}
+                disabled={finished}
+                className="flex-1 min-w-[12rem] p-2 border border-gray-300 rounded font-mono outline-none focus:ring-2 focus:ring-indigo-300"
+              />
+              <Button onClick={() => submit()} disabled={finished} size="sm">答え合わせ</Button>
+            </div>
+          )}
+
+          {feedback && (
+            <div className={`p-2 rounded border ${feedback.correct ? "bg-green-50 border-green-200 text-green-800" : "bg-red-50 border-red-200 text-red-700"}`}>
+              {feedback.correct ? "⭕ " : "❌ "}{feedback.message}
+              {!feedback.correct && attempts > 0 && !finished && <span className="text-xs text-gray-500 ml-2">(もう一度答えられます。成績は最初の答えで数えます)</span>}
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            <Button onClick={() => setHintCount(hintCount + 1)} disabled={hintCount >= problem.hints.length} variant="secondary" size="sm">
+              💡 ヒント ({hintCount}/{problem.hints.length})
+            </Button>
+            <Button onClick={reveal} disabled={finished} variant="secondary" size="sm">答えを見る</Button>
+            {finished && <Button onClick={() => newProblem()} size="sm">次の問題 ▶</Button>}
+          </div>
+
+          {hintCount > 0 && (
+            <ol className="list-decimal list-inside space-y-1 bg-yellow-50 border border-yellow-100 rounded p-3 text-yellow-900">
+              {problem.hints.slice(0, hintCount).map((hint, i) => <li key={i} className="whitespace-pre-line">{hint}</li>)}
+            </ol>
+          )}
+
+          {finished && (
+            <div className="bg-indigo-50 border border-indigo-100 rounded p-3 text-indigo-900 whitespace-pre-line font-mono text-xs">{problem.explanation}</div>
+          )}
+        </div>
+      </Card>
+
+      <Card title="3. 成績">
+        <table className="w-full text-left border-collapse text-sm">
+          <thead>
+            <tr className="bg-gray-50 text-gray-600">
+              <th className="p-1 border border-gray-200">問題の種類</th>
+              <th className="p-1 border border-gray-200 text-right">正解 / 解答</th>
+              <th className="p-1 border border-gray-200 text-right">正答率</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(QUIZ_KINDS).map(([key, label]) => (
+              <tr key={key} className={key === problem.kind ? "bg-indigo-50" : ""}>
+                <td className="p-1 border border-gray-200">{label}</td>
+                <td className="p-1 border border-gray-200 font-mono text-right">{score[key].correct} / {score[key].total}</td>
+                <td className="p-1 border border-gray-200 font-mono text-right">{rate(score[key])}</td>
+              </tr>
+            ))}
+            <tr className="font-bold">
+              <td className="p-1 border border-gray-200">合計</td>
+              <td className="p-1 border border-gray-200 font-mono text-right">{totals.correct} / {totals.total}</td>
+              <td className="p-1 border border-gray-200 font-mono text-right">{rate(totals)}</td>
+            </tr>
+          </tbody>
+        </table>
+        <div className="mt-3 flex items-center justify-between text-xs text-gray-500">
+          <span>※ 最初の答えだけを数えます。「答えを見る」を押した問題は不正解になります。</span>
+          <Button onClick={() => setScore(emptyQuizScore())} variant="secondary" size="sm">成績をリセット</Button>
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+// 実行の記録: 「圧縮を実行」のたびに localStorage に残す (ピン留めしていない古いものから消す)
+const HISTORY_STORAGE_KEY = "compression-lab-history";
+const HISTORY_LIMIT = 100;
+
+const isHistoryEntry = (entry) => entry && typeof entry.id === "string" && typeof entry.algo === "string"
+  && typeof entry.input === "string" && typeof entry.encoded === "string" && Number.isFinite(entry.fileBits);
+
+const loadHistory = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(HISTORY_STORAGE_KEY) || "[]");
+    return Array.isArray(saved) ? saved.filter(isHistoryEntry) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// 保存できなかった (容量オーバー・プライベートモードなど) ときは false を返す
+const saveHistory = (entries) => {
+  try {
+    window.localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(entries));
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// 方式の名前に、結果が変わる設定 (RLE の方式・算術符号化のモデル・LZW の辞書の上限) を添える
+const historyAlgoLabel = (entry) => {
+  const label = ALGO_LABELS[entry.algo] || entry.algo;
+  if (entry.algo === "rle" && entry.options?.variant && entry.options.variant !== "basic") {
+    return `${label} / ${RLE_VARIANT_LABELS[entry.options.variant] || entry.options.variant}${entry.options.variant === "fixed" ? ` ${entry.options.countBits}bit` : ""}`;
+  }
+  if (entry.algo === "arithmetic" && entry.options?.model) return `${label} / ${entry.options.model === "adaptive" ? "適応型" : "固定"}モデル`;
+  if (entry.algo === "lzw" && entry.options?.maxDictSize) return `${label} / 辞書 ${entry.options.maxDictSize}個`;
+  return label;
+};
+
+const makeHistoryEntry = (algo, options, input, res) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  time: new Date().toISOString(),
+  algo,
+  options,
+  input,
+  encoded: String(res.encoded),
+  originalBits: res.originalLength,
+  headerBits: res.headerBits,
+  payloadBits: res.payloadBits,
+  fileBits: res.fileBits,
+  pinned: false
+});
+
+// 新しいものを先頭に足し、ピン留めしていないものが上限を超えたら古いものから消す
+const addHistoryEntry = (entries, entry) => {
+  const next = [entry, ...entries];
+  let unpinned = 0;
+  return next.filter(e => e.pinned || ++unpinned <= HISTORY_LIMIT);
+};
+
+const formatHistoryTime = (iso) => {
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getMonth() + 1}/${d.getDate()} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+};
+
+const historyRatio = (entry) => entry.originalBits > 0 ? `${(entry.fileBits / entry.originalBits * 100).toFixed(1)}%` : "-";
+
+// 2つの記録を並べて比べる
+const HistoryCompare = ({ entries }) => {
+  const rows = [
+    { label: "方式", value: historyAlgoLabel },
+    { label: "入力", value: (e) => e.input, mono: true },
+    { label: "圧縮データ", value: (e) => e.encoded, mono: true },
+    { label: "元のサイズ", value: (e) => `${e.originalBits} bits` },
+    { label: "ヘッダー", value: (e) => `${e.headerBits} bits` },
+    { label: "データ本体", value: (e) => `${e.payloadBits} bits` },
+    { label: "ファイル全体", value: (e) => `${e.fileBits} bits`, bold: true },
+    { label: "圧縮率", value: historyRatio, bold: true }
+  ];
+  const diff = entries[1].fileBits - entries[0].fileBits;
+  return (
+    <div className="mt-4 border border-indigo-100 rounded-lg p-3 bg-indigo-50/40">
+      <div className="text-sm font-bold text-gray-700 mb-2">選んだ2つの記録の比較</div>
+      <table className="w-full text-left border-collapse text-sm table-fixed">
+        <thead>
+          <tr className="bg-gray-50 text-gray-600">
+            <th className="p-1 border border-gray-200 w-24"></th>
+            {entries.map(e => <th key={e.id} className="p-1 border border-gray-200 font-normal">{formatHistoryTime(e.time)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.label}>
+              <td className="p-1 border border-gray-200 text-gray-600">{row.label}</td>
+              {entries.map(e => (
+                <td key={e.id} className={`p-1 border border-gray-200 break-all align-top ${row.mono ? "font-mono" : ""} ${row.bold ? "font-bold" : ""}`}>{row.value(e)}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="text-xs text-gray-600 mt-2">
+        {diff === 0
+          ? "ファイル全体のサイズは同じです。"
+          : `右の記録は左より ${Math.abs(diff)} bits ${diff > 0 ? "大きく" : "小さく"}なっています。`}
+        {entries[0].input !== entries[1].input && entries[0].algo === entries[1].algo && " (同じ方式で入力だけが違います)"}
+        {entries[0].input === entries[1].input && entries[0].algo !== entries[1].algo && " (同じ入力で方式だけが違います)"}
+      </div>
+    </div>
+  );
+};
+
+// 実行の記録パネル: ピン留め・2つ選んで比較・復元・JSON での書き出しと読み込み
+const HistoryPanel = ({ history, setHistory, onRestore, storageOk }) => {
+  const [selected, setSelected] = useState([]); // 比較するために選んだ記録の id (最大2つ)
+  const [showAll, setShowAll] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const sorted = [...history.filter(e => e.pinned), ...history.filter(e => !e.pinned)];
+  const shown = showAll ? sorted : sorted.slice(0, 10);
+  const compared = selected.map(id => history.find(e => e.id === id)).filter(Boolean);
+
+  const toggleSelect = (id) => {
+    setSelected(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id].slice(-2));
+  };
+  const togglePin = (id) => setHistory(history.map(e => e.id === id ? { ...e, pinned: !e.pinned } : e));
+  const remove = (id) => {
+    setHistory(history.filter(e => e.id !== id));
+    setSelected(prev => prev.filter(x => x !== id));
+  };
+  const clearUnpinned = () => {
+    setHistory(history.filter(e => e.pinned));
+    setSelected(prev => prev.filter(id => history.some(e => e.id === id && e.pinned)));
+  };
+
+  const handleExport = () => {
+    const json = JSON.stringify({ app: HISTORY_STORAGE_KEY, version: 1, entries: history }, null, 2);
+    downloadBlob(new Blob([json], { type: "application/json" }), `compression-history-${new Date().toISOString().slice(0, 10)}.json`);
+  };
+
+  // 読み込んだ記録は今の記録に足す (同じ id のものは読み込んだ方で置き換える)
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(text => {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (err) {
+        setNotice({ ok: false, message: `「${file.name}」は JSON として読めませんでした。` });
+        return;
+      }
+      const entries = (Array.isArray(data) ? data : data?.entries || []).filter(isHistoryEntry);
+      if (entries.length === 0) {
+        setNotice({ ok: false, message: `「${file.name}」に読み込める記録がありませんでした。` });
+        return;
+      }
+      const ids = new Set(entries.map(entry => entry.id));
+      const merged = [...entries, ...history.filter(entry => !ids.has(entry.id))].sort((a, b) => (a.time < b.time ? 1 : -1));
+      setHistory(merged);
+      setNotice({ ok: true, message: `「${file.name}」から ${entries.length} 件の記録を読み込みました。` });
+    }).catch(() => {
+      // ファイルを読めなかったとき (文字として読めない・途中で消えた など) も同じお知らせを出す
+      setNotice({ ok: false, message: `「${file.name}」は JSON として読めませんでした。` });
+    });
+  };
+
+  return (
+    <Card title={`実行の記録 (${history.length}件)`}>
+      <div className="space-y-3 text-sm">
+        <div className="flex flex-wrap items-center gap-2">
+          <Button onClick={handleExport} variant="outline" size="sm" disabled={history.length === 0}>⬇ JSONで書き出す</Button>
+          <label className="px-3 py-1 border border-gray-300 text-gray-600 hover:bg-gray-50 rounded-lg cursor-pointer">
+            📂 JSONを読み込む
+            <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+          </label>
+          <Button onClick={clearUnpinned} variant="outline" size="sm" disabled={history.every(e => e.pinned)}>ピン留め以外を消す</Button>
+          {notice && <span className={notice.ok ? "text-green-700" : "text-red-600"}>{notice.message}</span>}
+        </div>
+        {!storageOk && (
+          <div className="text-xs text-red-600">※ この端末に記録を保存できませんでした (容量不足やプライベートモードなど)。ページを閉じる前に JSON で書き出してください。</div>
+        )}
+
+        {history.length === 0 ? (
+          <p className="text-gray-500">「圧縮を実行」を押すと、入力・方式・圧縮データ・サイズがここに記録されます。</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left border-collapse">
+              <thead>
+                <tr className="bg-gray-50 text-gray-600 text-xs">
+                  <th className="p-1 border border-gray-200" title="2つ選ぶと並べて比較できます">比較</th>
+                  <th className="p-1 border border-gray-200">日時</th>
+                  <th className="p-1 border border-gray-200">方式</th>
+                  <th className="p-1 border border-gray-200">入力</th>
+                  <th className="p-1 border border-gray-200 text-right">元 → 圧縮後</th>
+                  <th className="p-1 border border-gray-200 text-right">圧縮率</th>
+                  <th className="p-1 border border-gray-200"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map(entry => (
+                  <tr key={entry.id} className={selected.includes(entry.id) ? "bg-indigo-50" : entry.pinned ? "bg-yellow-50" : ""}>
+                    <td className="p-1 border border-gray-200 text-center">
+                      <input type="checkbox" checked={selected.includes(entry.id)} onChange={() => toggleSelect(entry.id)} />
+                    </td>
+                    <td className="p-1 border border-gray-200 text-xs text-gray-500 whitespace-nowrap">{formatHistoryTime(entry.time)}</td>
+                    <td className="p-1 border border-gray-200 text-xs">{historyAlgoLabel(entry)}</td>
+                    <td className="p-1 border border-gray-200 font-mono max-w-[12rem] truncate" title={entry.input}>{entry.input}</td>
+                    <td className="p-1 border border-gray-200 font-mono text-xs text-right whitespace-nowrap">{entry.originalBits} → {entry.fileBits} bits</td>
+                    <td className="p-1 border border-gray-200 font-mono text-right">{historyRatio(entry)}</td>
+                    <td className="p-1 border border-gray-200 whitespace-nowrap">
+                      <button onClick={() => togglePin(entry.id)} className={`px-1 ${entry.pinned ? "" : "opacity-30 hover:opacity-70"}`} title={entry.pinned ? "ピン留めを外す" : "ピン留めする (自動で消されなくなります)"}>📌</button>
+                      <button onClick={() => onRestore(entry)} className="px-1 text-indigo-600 hover:underline text-xs" title="この入力と方式を入力欄に戻します">戻す</button>
+                      <button onClick={() => remove(entry.id)} className="px-1 text-gray-400 hover:text-red-600" title="この記録を消す">✕</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {sorted.length > 10 && (
+              <button onClick={() => setShowAll(!showAll)} className="mt-1 text-xs text-indigo-600 hover:underline">
+                {showAll ? "最新の10件だけ表示する" : `すべて表示する (${sorted.length}件)`}
+              </button>
+            )}
+          </div>
+        )}
+
+        {compared.length === 2
+          ? <HistoryCompare entries={compared} />
+          : history.length > 1 && <p className="text-xs text-gray-500">比較の欄で2つ選ぶと、並べて比べられます。ピン留めした記録は上に表示され、自動では消えません (保存は最新 {HISTORY_LIMIT} 件まで)。</p>}
+      </div>
+    </Card>
+  );
+};
+
+// 共有リンク: アプリの状態を URL の # 以降にまとめる (既定値と同じ項目は書かない)
+const SHARE_TABS = ["text", "image", "lossy", "audio", "pipeline", "quiz"];
+const SHARE_TEXT_ALGOS = ["rle", "huffman", "adaptiveHuffman", "arithmetic", "lzw", "lz77", "bwt", "mtf"];
+const SHARE_DEFAULTS = {
+  tab: "text", algo: "rle", text: "AAAAABBBCCCCC", arith: "fixed", rle: "basic", bits: "4", dict: "4096",
+  size: "8", pal: "bw", img: "rle", scan: "row"
+};
+
+// 画素を色番号のビット数 (白黒なら 1bit) ずつ詰めて、URL に使える Base64 (base64url) にする
+const packGrid = (grid, bitsPerPixel) => {
+  const pixels = grid.flat();
+  const bytes = new Uint8Array(Math.ceil(pixels.length * bitsPerPixel / 8));
+  pixels.forEach((v, i) => {
+    for (let b = 0; b < bitsPerPixel; b++) {
+      if ((v >> (bitsPerPixel - 1 - b)) & 1) {
+        const pos = i * bitsPerPixel + b;
+        bytes[pos >> 3] |= 0x80 >> (pos & 7);
+      }
+    }
+  });
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+// 壊れたリンクなら null を返す
+const unpackGrid = (text, size, bitsPerPixel) => {
+  let binary;
+  try {
+    binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  } catch (e) {
+    return null;
+  }
+  if (binary.length !== Math.ceil(size * size * bitsPerPixel / 8)) return null;
+  return makeGrid(size, (r, c) => {
+    let v = 0;
+    for (let b = 0; b < bitsPerPixel; b++) {
+      const pos = (r * size + c) * bitsPerPixel + b;
+      v = (v << 1) | ((binary.charCodeAt(pos >> 3) >> (7 - (pos & 7))) & 1);
+    }
+    return v;
+  });
+};
+
+const writeShareState = (state) => {
+  const params = new URLSearchParams();
+  const values = {
+    tab: state.activeTab, algo: state.algo, text: state.inputText, arith: state.arithModel, rle: state.rleVariant,
+    bits: String(state.rleCountBits), dict: String(state.lzwMaxDict),
+    size: String(state.imageSize), pal: state.paletteKey, img: state.imgAlgo, scan: state.scanOrder
+  };
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== SHARE_DEFAULTS[key]) params.set(key, value);
+  });
+  if (state.grid.flat().some(v => v !== 0)) params.set("grid", packGrid(state.grid, Math.log2(PALETTES[state.paletteKey].colors.length)));
+  if (state.step !== null) params.set("step", String(state.step));
+  return params.toString();
+};
+
+// 知らない値は無視して既定値を使う。step はビジュアライザーを開いて表示するステップ (なければ null)
+const readShareState = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const pick = (key, allowed) => (params.has(key) && allowed.includes(params.get(key)) ? params.get(key) : SHARE_DEFAULTS[key]);
+  const paletteKey = pick("pal", Object.keys(PALETTES));
+  const imageSize = Number(pick("size", IMAGE_SIZES.map(String)));
+  const step = Number(params.get("step"));
+  return {
+    activeTab: pick("tab", SHARE_TABS),
+    algo: pick("algo", SHARE_TEXT_ALGOS),
+    inputText: params.has("text") ? params.get("text") : SHARE_DEFAULTS.text,
+    arithModel: pick("arith", ["fixed", "adaptive"]),
+    rleVariant: pick("rle", Object.keys(RLE_VARIANT_LABELS)),
+    rleCountBits: Number(pick("bits", ["2", "3", "4", "6", "8"])),
+    lzwMaxDict: Number(pick("dict", ["4096", "1024", "512", "272"])),
+    imageSize,
+    paletteKey,
+    grid: (params.has("grid") && unpackGrid(params.get("grid"), imageSize, Math.log2(PALETTES[paletteKey].colors.length))) || makeGrid(imageSize, () => 0),
+    imgAlgo: pick("img", IMAGE_ALGOS.map(a => a.key)),
+    scanOrder: pick("scan", Object.keys(SCAN_ORDERS)),
+    step: params.has("step") && Number.isInteger(step) && step >= 0 ? step : null
+  };
+};
+
+const App = () => {
+  // 共有リンク (URL の #) から開いたときはその状態から始める
+  const shared = useMemo(() => readShareState(window.location.hash), []);
+  const [activeTab, setActiveTab] = useState(shared.activeTab); // 'text' | 'image' | 'lossy' | 'audio' | 'pipeline' | 'quiz'
+  const [algo, setAlgo] = useState(shared.algo);
+  const [arithModel, setArithModel] = useState(shared.arithModel); // 算術符号化の確率モデル
+  const [rleVariant, setRleVariant] = useState(shared.rleVariant); // RLE の方式
+  const [rleCountBits, setRleCountBits] = useState(shared.rleCountBits); // 個数を固定ビット数で書く方式のビット数
+  const [lzwMaxDict, setLzwMaxDict] = useState(shared.lzwMaxDict); // LZW の辞書の上限 (達したらクリアして作り直す)
+  const [linkNotice, setLinkNotice] = useState(null); // 共有リンクをコピーしたときのお知らせ
+  
+  // テキストモードの状態
+  const [inputText, setInputText] = useState(shared.inputText);
+  const [compressionResult, setCompressionResult] = useState(null);
+  const [textStep, setTextStep] = useState(0); // ビジュアライザーで表示中のステップ (共有リンク用)
+  const [compareData, setCompareData] = useState([]);
+  const [includeHeader, setIncludeHeader] = useState(true); // 圧縮率にヘッダー（符号表など）を含めるか
+  const [fileNotice, setFileNotice] = useState(null); // 圧縮ファイル読み込み結果のお知らせ
+  const [history, setHistory] = useState(loadHistory); // 「圧縮を実行」の記録 (localStorage に保存)
+  const [historyStorageOk, setHistoryStorageOk] = useState(true);
+  
+  // 画像モードの状態 (一辺 imageSize 画素、画素値はパレットの色番号)
+  const [imageSize, setImageSize] = useState(shared.imageSize);
+  const [paletteKey, setPaletteKey] = useState(shared.paletteKey);
+  const [paintColor, setPaintColor] = useState(PALETTES[shared.paletteKey].ink);
+  const [grid, setGrid] = useState(shared.grid);
+  const [imgAlgo, setImgAlgo] = useState(shared.imgAlgo);
+  const [scanOrder, setScanOrder] = useState(shared.scanOrder);
+  const [scanCompareData, setScanCompareData] = useState([]);
+  const [imgResult, setImgResult] = useState(null);
+  const [imageStep, setImageStep] = useState(0);
+  const [imgCompareData, setImgCompareData] = useState([]);
+  const [importedImage, setImportedImage] = useState(null); // 読み込んだ画像 (しきい値やサイズの変更で変換し直す)
+  const [threshold, setThreshold] = useState(128);
+  const palette = PALETTES[paletteKey];
+
+  const logic = CompressionLogic;
+
+  // 情報量の分析 (入力・画像が変わるたびに計算し直す)
+  const textEntropy = useMemo(() => logic.entropy.analyze(inputText), [inputText]);
+  const imageEntropy = useMemo(
+    () => logic.entropy.analyze(grid.flat(), { symbolBits: Math.log2(palette.colors.length) }),
+    [grid, palette]
+  );
+  const entropyMarker = (analysis) => analysis && { value: analysis.minBits, label: `エントロピーから求めた下限 ${Math.ceil(analysis.minBits)} bits (データ本体のみ)` };
+
+  const algoInfo = useMemo(() => {
+    if(!logic || !logic[algo]) return {};
+    return logic[algo].getDescription();
+  }, [algo]);
+
+  // 入力が変わったら結果をリセット
+  useEffect(() => {
+    setCompressionResult(null);
+    setCompareData([]);
+    setTextStep(0);
+  }, [inputText, algo, arithModel, lzwMaxDict, rleVariant, rleCountBits]);
+  
+  // 画像グリッドが変わったら結果をリセット
+  useEffect(() => {
+    setImgResult(null);
+    setImgCompareData([]);
+    setScanCompareData([]);
+    setImageStep(0);
+  }, [grid]);
+
+  useEffect(() => {
+    setImgResult(null);
+    setImageStep(0);
+  }, [imgAlgo]);
+
+  useEffect(() => {
+    setImgResult(null);
+    setImgCompareData([]);
+    setImageStep(0);
+  }, [scanOrder]);
+
+  // ステップ付きの共有リンクなら、圧縮を実行してそのステップのビジュアライザーを開く
+  // (上のリセットより後に実行されるよう、ここに置く)
+  useEffect(() => {
+    if (shared.step === null) return;
+    if (shared.activeTab === "image") {
+      handleImageCompress();
+      setImageStep(shared.step);
+    } else if (shared.activeTab === "text" && shared.inputText) {
+      handleCompress({ record: false });
+      setTextStep(shared.step);
+    }
+  }, []);
+
+  // 状態が変わるたびに URL を書き換える (履歴は増やさない)
+  useEffect(() => {
+    const step = activeTab === "text" && compressionResult ? textStep
+      : activeTab === "image" && imgResult ? imageStep
+      : null;
+    const hash = writeShareState({ activeTab, algo, inputText, arithModel, rleVariant, rleCountBits, lzwMaxDict, imageSize, paletteKey, grid, imgAlgo, scanOrder, step });
+    window.history.replaceState(null, "", hash ? `#${hash}` : window.location.pathname + window.location.search);
+  }, [activeTab, algo, inputText, arithModel, rleVariant, rleCountBits, lzwMaxDict, imageSize, paletteKey, grid, imgAlgo, scanOrder, compressionResult, textStep, imgResult, imageStep]);
+
+  // 別の共有リンクを貼り付けて開き直したときは、その状態で読み込み直す
+  useEffect(() => {
+    const handleHashChange = () => window.location.reload();
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, []);
+
+  const copyShareLink = () => {
+    const url = window.location.href;
+    if (!navigator.clipboard) {
+      setLinkNotice(url);
+      return;
+    }
+    navigator.clipboard.writeText(url)
+      .then(() => setLinkNotice("共有リンクをコピーしました"))
+      .catch(() => setLinkNotice(url));
+  };
+
+  const rleOptions = { variant: rleVariant, countBits: rleCountBits };
+
+  useEffect(() => {
+    setHistoryStorageOk(saveHistory(history));
+  }, [history]);
+
+  // record: false のときは実行の記録に残さない (共有リンクを開いたときの復元など)
+  const handleCompress = ({ record = true } = {}) => {
+    if (!inputText) return;
+    let res = null;
+
+    if (algo === "rle") res = logic.rle.encode(inputText, rleOptions);
+    else if (algo === "huffman") res = logic.huffman.encode(inputText);
+    else if (algo === "adaptiveHuffman") res = logic.adaptiveHuffman.encode(inputText);
+    else if (algo === "arithmetic") res = logic.arithmetic.encode(inputText, { model: arithModel });
+    else if (algo === "lzw") res = logic.lzw.encode(inputText, { maxDictSize: lzwMaxDict });
+    else if (algo === "lz77") res = logic.lz77.encode(inputText);
+    else if (algo === "bwt") res = logic.bwt.encode(inputText);
+    else if (algo === "mtf") res = logic.mtf.encode(inputText);
+
+    setCompressionResult(res);
+    if (res && record) {
+      const options = algo === "rle" ? rleOptions
+        : algo === "arithmetic" ? { model: arithModel }
+        : algo === "lzw" ? { maxDictSize: lzwMaxDict }
+        : {};
+      setHistory(prev => addHistoryEntry(prev, makeHistoryEntry(algo, options, inputText, res)));
+    }
+  };
+
+  // 記録した入力と方式 (設定も含む) を入力欄に戻す
+  const restoreHistoryEntry = (entry) => {
+    setAlgo(entry.algo);
+    setInputText(entry.input);
+    if (entry.algo === "rle" && entry.options?.variant) {
+      setRleVariant(entry.options.variant);
+      if (entry.options.countBits) setRleCountBits(entry.options.countBits);
+    }
+    if (entry.algo === "arithmetic" && entry.options?.model) setArithModel(entry.options.model);
+    if (entry.algo === "lzw" && entry.options?.maxDictSize) setLzwMaxDict(entry.options.maxDictSize);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  const shownRatio = compressionResult
+    ? ((includeHeader ? compressionResult.fileBits : compressionResult.payloadBits) / compressionResult.originalLength) * 100
+    : 0;
+
+  const handleCompare = () => {
+    if (!inputText) return;
+    const rleRes = logic.rle.encode(inputText, rleOptions);
+    const huffRes = logic.huffman.encode(inputText);
+    const adaptiveRes = logic.adaptiveHuffman.encode(inputText);
+    const arithRes = logic.arithmetic.encode(inputText, { model: arithModel });
+    const lzwRes = logic.lzw.encode(inputText, { maxDictSize: lzwMaxDict });
+    const lz77Res = logic.lz77.encode(inputText);
+
+    // 実際に書き出したファイルのサイズ (ヘッダー込み) とデータ本体のサイズを両方持ち、表示時に切り替える
+    const originalBits = rleRes.originalLength;
+    const sizes = (label, res, color) => ({ label, fileBits: res.fileBits, payloadBits: res.payloadBits, color });
+
+    setCompareData([
+      { label: "元データ", fileBits: originalBits, payloadBits: originalBits, color: "bg-gray-400" },
+      sizes(rleVariant === "basic" ? "RLE" : `RLE (${rleVariant})`, rleRes, "bg-red-500"),
+      sizes("ハフマン", huffRes, "bg-green-500"),
+      sizes("適応ハフマン", adaptiveRes, "bg-emerald-700"),
+      sizes("算術符号", arithRes, "bg-cyan-500"),
+      sizes("LZW", lzwRes, "bg-purple-500"),
+      sizes("LZ77", lz77Res, "bg-orange-500")
+    ]);
+  };
+
+  const compareChartData = compareData.map(d => {
+    const value = includeHeader ? d.fileBits : d.payloadBits;
+    return { label: d.label, value, displayValue: `${value} bits`, color: d.color };
+  });
+
+  // 圧縮ファイルを読み込んで復元し、入力欄に戻す
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.arrayBuffer().then(buffer => {
+      const res = logic.container.decode(new Uint8Array(buffer));
+      if (res.error) {
+        setFileNotice({ ok: false, message: res.error });
+        return;
+      }
+      // compress-lab の --bytes で作ったファイルや RLE+ハフマンのファイルは、テキストの圧縮画面では扱えない
+      if (typeof res.decoded !== "string" || !SHARE_TEXT_ALGOS.includes(res.algo)) {
+        const reason = typeof res.decoded !== "string" ? "文字ではなくバイトの並びを圧縮したファイル" : `テキストの圧縮画面にない方式 (${ALGO_LABELS[res.algo]}) のファイル`;
+        setFileNotice({ ok: false, message: `「${file.name}」は${reason}なので、ここでは開けません。compress-lab decode で復元してください。` });
+        return;
+      }
+      setAlgo(res.algo);
+      setInputText(res.decoded);
+      setFileNotice({ ok: true, message: `「${file.name}」(${buffer.byteLength} bytes) を${ALGO_LABELS[res.algo]}として復元しました。` });
+    }).catch((err) => {
+      // ファイルを読めなかったときや、復元の途中で思わぬエラーが起きたときもお知らせを出す
+      setFileNotice({ ok: false, message: `「${file.name}」を開けませんでした (${err.message})。` });
+    });
+  };
+
+  const handleImageSizeChange = (size) => {
+    setImageSize(size);
+    setGrid(importedImage ? quantizeImage(importedImage, size, palette, threshold) : makeGrid(size, () => 0));
+  };
+
+  // 色数を減らすときは、範囲外の色を一番濃い色にそろえる
+  const handlePaletteChange = (key) => {
+    const levels = PALETTES[key].colors.length;
+    setPaletteKey(key);
+    setPaintColor(PALETTES[key].ink);
+    setGrid(importedImage
+      ? quantizeImage(importedImage, imageSize, PALETTES[key], threshold)
+      : grid.map(row => row.map(v => Math.min(v, levels - 1))));
+  };
+
+  const applyPreset = (preset) => {
+    setImportedImage(null);
+    setGrid(makeGrid(imageSize, (r, c) => preset.pixel(r, c, imageSize, palette.ink, palette.colors.length)));
+  };
+
+  // 画像ファイルを読み込み、現在のサイズ・色数に変換してグリッドに入れる
+  const handleImageUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      setImportedImage(img);
+      setGrid(quantizeImage(img, imageSize, palette, threshold));
+    };
+    img.src = url;
+  };
+
+  const handleThresholdChange = (value) => {
+    setThreshold(value);
+    if (importedImage) setGrid(quantizeImage(importedImage, imageSize, palette, value));
+  };
+
+  const handlePnmExport = () => {
+    const { bytes, ext } = gridToPnm(grid, paletteKey, palette);
+    downloadBinary(bytes, `image-${imageSize}x${imageSize}.${ext}`);
+  };
+
+  // 画素は1つ symbolBits ビット。圧縮後のサイズは符号表などの方式ごとのヘッダーとデータ本体の合計
+  // (どの方式にも共通するファイル先頭のマジック・長さは除く)
+  const encodeImage = (algoKey) => {
+    const pixels = logic.scan.flatten(grid, scanOrder);
+    const symbolBits = Math.log2(palette.colors.length);
+    const res = logic[algoKey].encode(pixels, { symbolBits });
+    return { res, pixels, symbolBits, compressedSize: res.fileBits - logic.container.commonHeaderBits };
+  };
+
+  const handleImageCompress = () => {
+    const { res, pixels, symbolBits, compressedSize } = encodeImage(imgAlgo);
+    // 2色なら 0/1 の並び、それ以上は色番号を16進数1桁で並べて表示
+    const flatStr = symbolBits === 1 ? pixels.join("") : pixels.map(v => v.toString(16).toUpperCase()).join("");
+    const originalBits = res.originalLength;
+
+    setImgResult({
+      algo: imgAlgo,
+      scanOrder,
+      path: logic.scan.path(grid.length, scanOrder),
+      originalStr: flatStr,
+      symbolBits,
+      encoded: res.encoded,
+      map: res.map,
+      startWidth: res.startWidth,
+      codeWidth: res.codeWidth,
+      originalSize: originalBits,
+      compressedSize,
+      ratio: (compressedSize / originalBits) * 100,
+      animationSteps: res.animationSteps // アニメーション用データを渡す
+    });
+  };
+
+  // 走査順ごとのラン（同じ色のまとまり）の数。少ないほど RLE が効きやすい
+  const handleScanCompare = () => {
+    const counts = logic.scan.orders.map(order => ({ order, runs: logic.scan.countRuns(logic.scan.flatten(grid, order)) }));
+    setScanCompareData(counts.map(({ order, runs }) => ({
+      label: SCAN_ORDERS[order],
+      value: runs,
+      displayValue: `${runs} ラン`,
+      color: order === scanOrder ? "bg-indigo-500" : "bg-blue-300"
+    })));
+  };
+
+  const handleImageCompare = () => {
+    const results = IMAGE_ALGOS.map(a => ({ ...a, ...encodeImage(a.key) }));
+    const originalBits = results[0].res.originalLength;
+    setImgCompareData([
+      { label: "元データ", value: originalBits, displayValue: `${originalBits} bits`, color: "bg-gray-400" },
+      ...results.map(r => ({ label: r.short, value: r.compressedSize, displayValue: `${r.compressedSize} bits`, color: r.color }))
+    ]);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 text-gray-800 font-sans pb-10">
+      <header className="bg-indigo-600 text-white p-4 shadow-lg sticky top-0 z-10">
+        <div className="container mx-auto flex justify-between items-center">
+          <h1 className="text-xl md:text-2xl font-bold tracking-tight">データ圧縮体験アプリ</h1>
+          <div className="flex items-center gap-2">
+            <button onClick={copyShareLink} className="text-xs md:text-sm bg-white text-indigo-700 hover:bg-indigo-50 px-3 py-1 rounded-full font-medium" title="今の入力・設定・ステップを開くリンクをコピーします">🔗 共有リンク</button>
+            <div className="text-xs md:text-sm bg-indigo-700 px-3 py-1 rounded-full opacity-90">情報Ⅰ: データの圧縮</div>
+          </div>
+        </div>
+        {linkNotice && (
+          <div className="container mx-auto mt-2 text-xs bg-indigo-700 rounded px-3 py-1 break-all flex justify-between gap-2">
+            <span>{linkNotice}</span>
+            <button onClick={() => setLinkNotice(null)} className="opacity-75 hover:opacity-100">✕</button>
+          </div>
+        )}
+      </header>
+
+      <main className="container mx-auto p-4 md:p-6 max-w-5xl">
+        <div className="flex space-x-2 mb-6 border-b border-gray-200">
+          <button 
+            className={`px-4 py-2 font-medium rounded-t-lg transition-colors ${activeTab === 'text' ? 'bg-white border-x border-t border-gray-200 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+            onClick={() => setActiveTab('text')}
+          >
+            テキスト圧縮
+          </button>
+          <button 
+            className={`px-4 py-2 font-medium rounded-t-lg transition-colors ${activeTab === 'image' ? 'bg-white border-x border-t border-gray-200 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+            onClick={() => setActiveTab('image')}
+          >
+            画像圧縮
+          </button>
+          <button 
+            className={`px-4 py-2 font-medium rounded-t-lg transition-colors ${activeTab === 'lossy' ? 'bg-white border-x border-t border-gray-200 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+            onClick={() => setActiveTab('lossy')}
+          >
+            非可逆圧縮 (JPEG)
+          </button>
+          <button 
+            className={`px-4 py-2 font-medium rounded-t-lg transition-colors ${activeTab === 'audio' ? 'bg-white border-x border-t border-gray-200 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+            onClick={() => setActiveTab('audio')}
+          >
+            音声圧縮
+          </button>
+          <button 
+            className={`px-4 py-2 font-medium rounded-t-lg transition-colors ${activeTab === 'pipeline' ? 'bg-white border-x border-t border-gray-200 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+            onClick={() => setActiveTab('pipeline')}
+          >
+            パイプライン
+          </button>
+          <button 
+            className={`px-4 py-2 font-medium rounded-t-lg transition-colors ${activeTab === 'quiz' ? 'bg-white border-x border-t border-gray-200 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+            onClick={() => setActiveTab('quiz')}
+          >
+            練習問題
+          </button>
+        </div>
+
+        {activeTab === 'text' && (
+          <div className="space-y-6 max-w-4xl mx-auto">
+              <Card title="1. 入力とアルゴリズム選択">
+                <div className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">アルゴリズム</label>
+                    <select 
+                      value={algo} 
+                      onChange={(e) => setAlgo(e.target.value)}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none"
+                    >
+                      <option value="rle">ランレングス圧縮 (RLE)</option>
+                      <option value="huffman">ハフマン符号化</option>
+                      <option value="adaptiveHuffman">適応型ハフマン符号化 (FGK)</option>
+                      <option value="arithmetic">算術符号化</option>
+                      <option value="lzw">LZW圧縮</option>
+                      <option value="lz77">LZ77 (スライド窓)</option>
+                      <option value="bwt">BWT (ブロックソート変換)</option>
+                      <option value="mtf">MTF (前方移動変換)</option>
+                    </select>
+                    <div className="mt-2 text-sm text-gray-600 bg-gray-50 p-3 rounded border border-gray-200">
+                      <p><span className="font-bold">特徴:</span> {algoInfo.summary}</p>
+                    </div>
+                    {algo === "arithmetic" && (
+                      <div className="mt-2 flex items-center gap-2 text-sm">
+                        <label className="font-medium text-gray-700">確率モデル:</label>
+                        <select
+                          value={arithModel}
+                          onChange={(e) => setArithModel(e.target.value)}
+                          className="p-1 border border-gray-300 rounded outline-none"
+                        >
+                          <option value="fixed">固定 (先に全体の回数を数える)</option>
+                          <option value="adaptive">適応型 (処理しながら数え直す)</option>
+                        </select>
+                      </div>
+                    )}
+                    {algo === "rle" && (
+                      <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+                        <label className="font-medium text-gray-700">方式:</label>
+                        <select
+                          value={rleVariant}
+                          onChange={(e) => setRleVariant(e.target.value)}
+                          className="p-1 border border-gray-300 rounded outline-none"
+                        >
+                          {Object.entries(RLE_VARIANT_LABELS).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                          ))}
+                        </select>
+                        {rleVariant === "fixed" && (
+                          <select
+                            value={rleCountBits}
+                            onChange={(e) => setRleCountBits(Number(e.target.value))}
+                            className="p-1 border border-gray-300 rounded outline-none"
+                          >
+                            {[2, 3, 4, 6, 8].map(bits => (
+                              <option key={bits} value={bits}>{bits}bit (最大 {2 ** bits - 1}個)</option>
+                            ))}
+                          </select>
+                        )}
+                      </div>
+                    )}
+                    {algo === "lzw" && (
+                      <div className="mt-2 flex items-center gap-2 text-sm">
+                        <label className="font-medium text-gray-700">辞書の上限:</label>
+                        <select
+                          value={lzwMaxDict}
+                          onChange={(e) => setLzwMaxDict(Number(e.target.value))}
+                          className="p-1 border border-gray-300 rounded outline-none"
+                        >
+                          <option value={4096}>4096個 (GIFと同じ, 最大12bit)</option>
+                          <option value={1024}>1024個 (最大10bit)</option>
+                          <option value={512}>512個 (最大9bit)</option>
+                          <option value={272}>272個 (すぐに初期化される)</option>
+                        </select>
+                      </div>
+                    )}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">圧縮したい文字列 (日本語もOK)</label>
+                    <div className="flex gap-2">
+                      <input 
+                        type="text" 
+                        value={inputText}
+                        onChange={(e) => { setInputText(e.target.value); setFileNotice(null); }}
+                        placeholder="AAAAABBBCC..."
+                        className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none font-mono"
+                      />
+                      <Button onClick={() => setInputText("AAAAABBBCCCCC")}>例1</Button>
+                      <Button onClick={() => setInputText("MISSISSIPPI")}>例2</Button>
+                      <Button onClick={() => setInputText("すもももももももものうち")}>例3</Button>
+                    </div>
+                  </div>
+
+                  <div className="flex gap-3 pt-2">
+                    <Button onClick={() => handleCompress()} variant="primary" className="flex-1">圧縮を実行</Button>
+                    <Button onClick={handleCompare} variant="secondary">全アルゴリズム比較</Button>
+                  </div>
+
+                  <div className="flex items-center gap-2 text-sm">
+                    <label className="px-3 py-1 border border-gray-300 text-gray-600 hover:bg-gray-50 rounded-lg cursor-pointer">
+                      📂 圧縮ファイルを開く
+                      <input type="file" accept={`.${logic.container.extension},application/octet-stream`} onChange={handleFileUpload} className="hidden" />
+                    </label>
+                    {fileNotice && (
+                      <span className={fileNotice.ok ? "text-green-700" : "text-red-600"}>{fileNotice.message}</span>
+                    )}
+                  </div>
+                </div>
+              </Card>
+
+              {/* ビジュアライザー (圧縮結果があるときのみ表示) */}
+              {compressionResult && (
+                <Visualizer inputText={inputText} result={compressionResult} algo={algo} initialStep={textStep} onStepChange={setTextStep} />
+              )}
+
+              {/* 圧縮結果詳細 */}
+              {compressionResult && (
+                <Card title="2. 最終結果データ" className="border-indigo-100 ring-2 ring-indigo-50">
+                  <div className="space-y-4">
+                    <div className="grid grid-cols-2 gap-4">
+                      <div className="bg-white p-3 rounded border">
+                        <div className="text-xs text-gray-500 mb-1">圧縮データ</div>
+                        <div className="font-mono text-lg font-bold text-indigo-700 break-all leading-tight">
+                          {compressionResult.encoded}
+                        </div>
+                      </div>
+                      <div className="bg-white p-3 rounded border">
+                        <div className="text-xs text-gray-500 mb-1">圧縮率 (サイズ比{includeHeader ? "" : ", ヘッダー除く"})</div>
+                        <div className={`font-mono text-lg font-bold ${shownRatio > 100 ? "text-red-600" : "text-green-600"}`}>
+                          {Math.round(shownRatio)}%
+                        </div>
+                        <div className="text-xs text-gray-400">
+                          {includeHeader
+                            ? `${compressionResult.fileBits / 8} bytes / ${compressionResult.originalLength / 8} bytes`
+                            : `${compressionResult.payloadBits} bits / ${compressionResult.originalLength} bits`}
+                        </div>
+                        <div className="text-xs text-gray-400">
+                          {`(ヘッダー ${compressionResult.headerBits} bits + データ本体 ${compressionResult.payloadBits} bits)`}
+                        </div>
+                      </div>
+                    </div>
+
+                    <HeaderToggle includeHeader={includeHeader} setIncludeHeader={setIncludeHeader} />
+                    <SizeBreakdown result={compressionResult} algo={algo} />
+
+                    <div className="flex items-center justify-between gap-2 text-xs text-gray-500 bg-gray-50 p-2 rounded border border-gray-200">
+                      <span>
+                        {includeHeader
+                          ? "圧縮率は、実際に書き出した圧縮ファイルのサイズから計算しています。"
+                          : "データ本体だけで計算した圧縮率です。符号表などを保存しないと復元できないので、実際のファイルはもっと大きくなります。"}
+                      </span>
+                      <Button
+                        onClick={() => downloadBinary(compressionResult.binary, `compressed-${algo}.${logic.container.extension}`)}
+                        variant="outline"
+                        size="sm"
+                      >
+                        💾 ファイルを保存
+                      </Button>
+                    </div>
+
+                    {(algo === "bwt" || algo === "mtf") && (
+                      <TransformEffect algo={algo} inputText={inputText} result={compressionResult} />
+                    )}
+
+                    {algo === "rle" && <RleVariantEffect inputText={inputText} result={compressionResult} countBits={rleCountBits} />}
+
+                    {algo === "lzw" && <LzwCodeCost result={compressionResult} />}
+
+                    {algo === "adaptiveHuffman" && (
+                      <div className="mt-2 text-sm bg-emerald-50 p-3 rounded border border-emerald-100 text-emerald-900">
+                        ファイルに保存するのはビット列だけで、符号表（辞書）はありません（ヘッダー {compressionResult.headerBits} bits）。
+                        復元する側も、読んだ文字で同じように木を更新していくので、同じ符号を再現できます。
+                      </div>
+                    )}
+
+                    {algo === "arithmetic" && (
+                      <div className="mt-2 text-sm bg-cyan-50 p-3 rounded border border-cyan-100 text-cyan-900">
+                        データ本体 {compressionResult.encoded.length} bits（理想値 −log₂(確率の積) = {compressionResult.idealBits.toFixed(2)} bits）。
+                        ハフマン符号は1文字ごとに整数ビットへ切り上げるのに対し、算術符号化は全体で端数をまとめるため、ずれは最後の数ビットだけです。
+                      </div>
+                    )}
+
+                    {algo === "huffman" && (
+                      <div className="mt-2 text-sm">
+                        <div className="font-bold mb-1">ハフマン符号割り当て (正規化した辞書):</div>
+                        <div className="flex flex-wrap gap-2">
+                          {Object.entries(compressionResult.map).map(([char, code]) => (
+                            <span key={char} className="px-2 py-1 bg-gray-100 rounded border border-gray-200 font-mono">
+                              {char}: <span className="text-indigo-600 font-bold">{code}</span>
+                              <span className="text-xs text-gray-400 ml-1">(長さ {code.length}, 木では {compressionResult.treeCodes[char]})</span>
+                            </span>
+                          ))}
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">
+                          ファイルの符号表には各文字と「符号の長さ」だけを書きます（{compressionResult.tableBits} bits）。
+                          符号そのものは、長さの短い順に 0 から連番で振り直せば復元側でも同じになります。
+                        </p>
+                      </div>
+                    )}
+                  </div>
+                </Card>
+              )}
+
+              <DecodePanel algo={algo} compressionResult={compressionResult} originalText={inputText} />
+
+              {compareData.length > 0 && (
+                <Card title="圧縮率の比較">
+                   <p className="text-sm text-gray-600 mb-2">入力: <span className="font-mono font-bold">{inputText}</span></p>
+                   <HeaderToggle includeHeader={includeHeader} setIncludeHeader={setIncludeHeader} />
+                   <SimpleBarChart
+                     data={compareChartData}
+                     marker={entropyMarker(textEntropy)}
+                     note={includeHeader ? "※実際に書き出したファイルのサイズ (ビット数)" : "※データ本体だけのサイズ (ヘッダー・符号表を除く)"}
+                   />
+                   <p className="text-xs text-gray-500 mt-2">
+                     {includeHeader
+                       ? "※各方式のサイズには符号表などのヘッダーも含まれます。短いデータでは、ヘッダーの分で元より大きくなることがあります。"
+                       : "※ヘッダーを除いた見かけのサイズです。実際には復元に必要な符号表なども保存しなければなりません。"}
+                     文字の出現確率だけを使う方式（ハフマン符号・固定モデルの算術符号化）は、データ本体を赤い線より小さくできません。
+                   </p>
+                </Card>
+              )}
+
+              <HistoryPanel history={history} setHistory={setHistory} onRestore={restoreHistoryEntry} storageOk={historyStorageOk} />
+
+              <EntropyPanel analysis={textEntropy} />
+
+              <Card title="アルゴリズムの特徴・詳細">
+                 <div className="text-sm space-y-3">
+                   <div>
+                     <span className="block font-bold text-gray-700">得意なデータ</span>
+                     <p className="text-gray-600">{algoInfo.pros}</p>
+                   </div>
+                   <div>
+                     <span className="block font-bold text-gray-700">苦手・課題</span>
+                     <p className="text-gray-600">{algoInfo.cons}</p>
+                   </div>
+                 </div>
+              </Card>
+          </div>
+        )}
+
+        {activeTab === 'image' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-8 items-start">
+             {/* 左カラム：エディタ */}
+             <Card title={`画像の作成 (${imageSize}×${imageSize}, ${palette.label})`}>
+                <div className="flex flex-col items-center space-y-4">
+                  <div className="w-full grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="block text-xs text-gray-500 font-bold mb-1">サイズ</label>
+                      <select
+                        value={imageSize}
+                        onChange={(e) => handleImageSizeChange(Number(e.target.value))}
+                        className="w-full p-1 border border-gray-300 rounded text-sm outline-none"
+                      >
+                        {IMAGE_SIZES.map(n => <option key={n} value={n}>{n}×{n}</option>)}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-500 font-bold mb-1">色数</label>
+                      <select
+                        value={paletteKey}
+                        onChange={(e) => handlePaletteChange(e.target.value)}
+                        className="w-full p-1 border border-gray-300 rounded text-sm outline-none"
+                      >
+                        {Object.entries(PALETTES).map(([key, p]) => <option key={key} value={key}>{p.label}</option>)}
+                      </select>
+                    </div>
+                  </div>
+
+                  <div className="w-full">
+                    <p className="text-xs text-gray-500 font-bold mb-1">塗る色:</p>
+                    <div className="flex flex-wrap gap-1">
+                      {palette.colors.map((color, idx) => (
+                        <button
+                          key={idx}
+                          onClick={() => setPaintColor(idx)}
+                          title={`色${idx}`}
+                          className={`w-6 h-6 rounded border ${paintColor === idx ? "ring-2 ring-indigo-500 ring-offset-1 border-indigo-500" : "border-gray-300"}`}
+                          style={{ backgroundColor: color }}
+                        />
+                      ))}
+                    </div>
+                  </div>
+
+                  <ImageEditor grid={grid} setGrid={setGrid} palette={palette} paintColor={paintColor} />
+
+                  <div className="w-full space-y-2">
+                    <div className="flex flex-wrap gap-2">
+                      <label className="px-2 py-1 text-sm border border-gray-300 text-gray-600 hover:bg-gray-50 rounded-lg cursor-pointer">
+                        📂 画像を読み込む
+                        <input type="file" accept="image/*" onChange={handleImageUpload} className="hidden" />
+                      </label>
+                      <Button onClick={() => exportGridAsPng(grid, palette)} variant="outline" size="sm">PNGで保存</Button>
+                      <Button onClick={handlePnmExport} variant="outline" size="sm">
+                        {palette.colors.length === 2 ? "PBM" : paletteKey.startsWith("gray") ? "PGM" : "PPM"}で保存
+                      </Button>
+                    </div>
+                    {importedImage && palette.colors.length === 2 && (
+                      <div className="flex items-center gap-2">
+                        <label className="text-xs text-gray-500 font-bold whitespace-nowrap">白黒のしきい値:</label>
+                        <input
+                          type="range"
+                          min="0"
+                          max="255"
+                          value={threshold}
+                          onChange={(e) => handleThresholdChange(Number(e.target.value))}
+                          className="flex-1 h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                        />
+                        <span className="text-xs font-mono w-8 text-right">{threshold}</span>
+                      </div>
+                    )}
+                    <p className="text-xs text-gray-400">※ 読み込んだ画像はこの端末の中だけで縮小・減色され、どこにも送信されません。</p>
+                  </div>
+                  
+                  <div className="w-full">
+                    <div className="flex justify-between items-center mb-2">
+                       <p className="text-xs text-gray-500 font-bold">プリセット・生成:</p>
+                    </div>
+                    <div className="grid grid-cols-3 gap-2 w-full">
+                      {IMAGE_PRESETS.map(preset => (
+                        <Button key={preset.label} onClick={() => applyPreset(preset)} variant="outline" size="sm">{preset.label}</Button>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div className="w-full">
+                    <label className="block text-xs text-gray-500 font-bold mb-1">走査順 (画素を読む順番)</label>
+                    <div className="flex gap-2">
+                      <select
+                        value={scanOrder}
+                        onChange={(e) => setScanOrder(e.target.value)}
+                        className="flex-1 p-1 border border-gray-300 rounded text-sm outline-none"
+                      >
+                        {logic.scan.orders.map(order => <option key={order} value={order}>{SCAN_ORDERS[order]}</option>)}
+                      </select>
+                      <Button onClick={handleScanCompare} variant="outline" size="sm">ラン数を比較</Button>
+                    </div>
+                  </div>
+
+                  <div className="w-full">
+                    <label className="block text-xs text-gray-500 font-bold mb-1">圧縮アルゴリズム</label>
+                    <select
+                      value={imgAlgo}
+                      onChange={(e) => setImgAlgo(e.target.value)}
+                      className="w-full p-1 border border-gray-300 rounded text-sm outline-none"
+                    >
+                      {IMAGE_ALGOS.map(a => <option key={a.key} value={a.key}>{ALGO_LABELS[a.key]}</option>)}
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">{logic[imgAlgo].getDescription().summary}</p>
+                  </div>
+
+                  <div className="w-full grid grid-cols-2 gap-2 mt-2">
+                    <Button onClick={handleImageCompress}>圧縮する</Button>
+                    <Button onClick={handleImageCompare} variant="secondary">全アルゴリズム比較</Button>
+                  </div>
+                </div>
+             </Card>
+
+             {/* 右カラム：結果とビジュアライザー */}
+             {imgResult && (
+               <div className="space-y-6">
+                 {/* 画像用ビジュアライザー */}
+                 <ImageVisualizer grid={grid} result={imgResult} palette={palette} initialStep={imageStep} onStepChange={setImageStep} />
+                 
+                 <Card title="圧縮結果分析">
+                   <div className="space-y-4">
+                     <div>
+                       <div className="text-sm font-bold text-gray-700">
+                         {imgResult.symbolBits === 1 ? "ビット列 (元データ):" : `画素値の並び (元データ, 1画素 ${imgResult.symbolBits}bit, 16進数表示):`}
+                       </div>
+                       <div className="text-xs font-mono bg-gray-100 p-2 rounded break-all tracking-widest text-gray-500">
+                         {imgResult.originalStr}
+                       </div>
+                     </div>
+                     <div>
+                       <div className="text-sm font-bold text-indigo-700">{ALGO_LABELS[imgResult.algo]} の圧縮データ:</div>
+                       <div className="text-lg font-mono bg-indigo-50 p-2 rounded break-all whitespace-pre-wrap text-indigo-700 font-bold border border-indigo-200 max-h-40 overflow-y-auto">
+                         {imgResult.encoded}
+                       </div>
+                       <div className="text-xs text-gray-500 mt-1">
+                         {imgResult.algo === "rle" && `※「色番号×連続数」の形式 (1ラン = 色 ${imgResult.symbolBits}bit + 個数 8bit)`}
+                         {imgResult.algo === "huffman" && "※各画素を下の符号に置き換えたビット列"}
+                         {imgResult.algo === "lzw" && `※辞書の番号の並び (1つ ${imgResult.startWidth}bit から始まり、辞書が育つと最大 ${imgResult.codeWidth}bit まで広がる)`}
+                         {imgResult.algo === "rleHuffman" && (imgResult.symbolBits === 1
+                           ? "※白から始めて白・黒のランを交互に並べ、各ランの長さを下の符号に置き換えたビット列"
+                           : `※各ランを「色 ${imgResult.symbolBits}bit + 長さの符号」に置き換えたビット列`)}
+                       </div>
+                     </div>
+
+                     {imgResult.map && (
+                       <div className="text-sm">
+                         <div className="font-bold mb-1">{imgResult.algo === "huffman" ? "色ごとの符号 (辞書):" : "ランの長さごとの符号 (辞書):"}</div>
+                         <div className="flex flex-wrap gap-2">
+                           {Object.entries(imgResult.map).map(([key, code]) => (
+                             <span key={key} className="px-2 py-1 bg-gray-100 rounded border border-gray-200 font-mono text-xs">
+                               {imgResult.algo === "huffman" ? `色${key}` : `長さ${key}`}: <span className="text-indigo-600 font-bold">{code}</span>
+                             </span>
+                           ))}
+                         </div>
+                       </div>
+                     )}
+                     
+                     <div className="bg-gray-50 p-4 rounded-lg">
+                       <div className="flex justify-between items-end mb-2">
+                         <span className="text-sm font-medium">データ量比較</span>
+                         <span className="text-2xl font-bold text-gray-800">{Math.round(imgResult.ratio)}%</span>
+                       </div>
+                       <div className="h-4 bg-gray-200 rounded-full overflow-hidden flex">
+                          <div className="h-full bg-blue-500" style={{ width: `${Math.min(imgResult.ratio, 100)}%` }}></div>
+                       </div>
+                       <div className="flex justify-between text-xs text-gray-500 mt-1">
+                          <span>圧縮後: {imgResult.compressedSize} bits (符号表など + データ本体)</span>
+                          <span>元: {imgResult.originalSize} bits</span>
+                       </div>
+                     </div>
+                     
+                     <div className="text-sm bg-yellow-50 p-3 rounded border border-yellow-100 text-yellow-800">
+                       <span className="font-bold">考察:</span><br/>
+                       {imgResult.algo === "huffman"
+                         ? (imgResult.ratio < 100
+                           ? "よく使われる色に短い符号を割り当てたことで、データ量が減りました。色の使われ方に偏りがあるほど効果が出ます。"
+                           : "色がまんべんなく使われているか、符号表の分が大きいため効果が出ていません。ハフマン符号は並び方（連続）を利用しない点にも注意しましょう。")
+                         : imgResult.algo === "lzw"
+                         ? (imgResult.ratio < 100
+                           ? "同じ画素の並び（模様）が繰り返し現れるため、辞書の番号1つで長い並びを表せています。"
+                           : "繰り返す模様が少ないか画像が小さいため、辞書が育つ前に終わってしまい効果が出ていません。")
+                         : imgResult.ratio < 100 ? 
+                         "同じ色が連続しているため、圧縮効果が出ています。FAXなどで利用される原理です。" :
+                         "色が頻繁に入れ替わるため、逆にデータ量が増えているか、効果が薄いです（市松模様などで確認しましょう）。"
+                       }
+                     </div>
+                   </div>
+                 </Card>
+               </div>
+             )}
+
+             {scanCompareData.length > 0 && (
+               <Card title="走査順ごとのラン数" className="md:col-span-2">
+                 <p className="text-sm text-gray-600 mb-2">
+                   同じ画像でも、読む順番によって「同じ色が続くまとまり」の数が変わります。ラン数が少ない順番ほど、RLE で小さくなります。
+                 </p>
+                 <SimpleBarChart data={scanCompareData} note="※ラン数 (同じ色が続くまとまりの数)" />
+               </Card>
+             )}
+
+             {imgCompareData.length > 0 && (
+               <Card title="圧縮率の比較 (画像)" className="md:col-span-2">
+                 <p className="text-sm text-gray-600 mb-2">
+                   {imageSize}×{imageSize} 画素, {palette.label}, {SCAN_ORDERS[scanOrder]}。圧縮後は符号表などを含めたサイズです（ファイル共通の先頭 {logic.container.commonHeaderBits} bits は除く）。
+                 </p>
+                 <SimpleBarChart data={imgCompareData} marker={entropyMarker(imageEntropy)} />
+               </Card>
+             )}
+
+             <EntropyPanel analysis={imageEntropy} unitName="画素" formatSymbol={(v) => `色${v}`} className="md:col-span-2" />
+          </div>
+        )}
+
+        {activeTab === 'lossy' && (
+          <LossyPanel grid={grid} palette={palette} />
+        )}
+
+        {activeTab === 'audio' && (
+          <AudioPanel />
+        )}
+
+        {activeTab === 'pipeline' && (
+          <PipelinePanel inputText={inputText} setInputText={setInputText} />
+        )}
+
+        {activeTab === 'quiz' && (
+          <QuizPanel />
+        )}
+
+      </main>
+    </div>
+  );
+};
+
+const root = ReactDOM.createRoot(document.getElementById('root'));
+root.render(<App />);
+
+// 本番ビルドではサービスワーカーを登録し、2回目からはネットワークなしでも開けるようにする
+if (import.meta.env.PROD && "serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("./sw.js").catch(() => {
+      // 登録できない環境 (file:// で開いた場合など) でも、アプリ自体はそのまま使える
+    });
+  });
+}
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * データ圧縮学習アプリ コマンドライン版 (compress-lab)
+ * ブラウザと同じ logic.js を使って、ファイルの圧縮・復元・比較・手順の書き出しを行う
+ */
+
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import { CompressionLogic } from "../logic.js";
+
+// ==========================================
+// アルゴリズムの一覧 (圧縮ファイルに書き出せるもの)
+// ==========================================
+const ALGO_NAMES = {
+  rle: "ランレングス圧縮 (RLE)",
+  huffman: "ハフマン符号化",
+  adaptiveHuffman: "適応型ハフマン (FGK)",
+  arithmetic: "算術符号化",
+  lzw: "LZW圧縮",
+  lz77: "LZ77 (スライド窓)",
+  rleHuffman: "RLE+ハフマン (FAX方式)",
+  bwt: "BWT (ブロックソート変換)",
+  mtf: "MTF (前方移動変換)"
+};
+// compare で並べる方式 (アプリの「全アルゴリズム比較」と同じ)
+const COMPARE_ALGOS = ["rle", "huffman", "adaptiveHuffman", "arithmetic", "lzw", "lz77"];
+
+// 扱える入力の上限。手順を省けない方式 (LZ77・LZW など) は数 MB でメモリが足りなくなるので、
+// 途中で異常終了する前にエラーとして止める。steps は全ステップを書き出すのでさらに小さくする
+const MAX_INPUT_BYTES = 1024 * 1024;
+const MAX_STEPS_SYMBOLS = 10000;
+
+const USAGE = `使い方: compress-lab <コマンド> [オプション] [入力ファイル]
+
+コマンド:
+  encode   入力を圧縮して圧縮ファイル (.${CompressionLogic.container.extension}) に書き出す
+  decode   圧縮ファイルを元に戻す
+  compare  入力をいくつもの方式で圧縮し、サイズを比べる
+  steps    圧縮の手順 (アプリのアニメーションの各ステップ) を書き出す
+
+入力:
+  入力ファイルを省略するか "-" を指定すると標準入力から読みます。
+  --text <文字列>       ファイルの代わりに文字列を直接渡す
+  --bytes              入力を文字ではなくバイト (0〜255) の並びとして扱う (画像などのファイル向け)
+  入力は ${MAX_INPUT_BYTES} bytes まで、steps では ${MAX_STEPS_SYMBOLS} 記号 (文字またはバイト) までです。
+
+オプション:
+  -a, --algo <名前>     ${Object.keys(ALGO_NAMES).join(" / ")} (既定: huffman)
+  -o, --output <ファイル> 書き出し先 (省略すると標準出力)
+  --variant <方式>      RLE の方式: basic / packbits / escape / fixed
+  --count-bits <ビット>  RLE の fixed 方式で個数に使うビット数 (既定: 4)
+  --model <モデル>      算術符号化の確率モデル: fixed / adaptive
+  --max-dict <個数>     LZW の辞書の上限 (既定: 4096)
+  --window <長さ>       LZ77 の探索窓の長さ (既定: 255)
+  --json               compare / steps の結果を JSON で出力する
+  -h, --help           この説明を表示する
+
+例:
+  compress-lab encode --algo huffman input.txt -o out.bin
+  compress-lab decode out.bin -o restored.txt
+  compress-lab compare --text MISSISSIPPI
+  compress-lab steps --algo lzw --text ABABABA --json`;
+
+// 使い方の誤り (終了コード 2) と、処理中の誤り (終了コード 1) を分ける
+class UsageError extends Error {}
+
+const OPTIONS = {
+  algo: { type: "string", short: "a", default: "huffman" },
+  output: { type: "string", short: "o" },
+  text: { type: "string" },
+  bytes: { type: "boolean", default: false },
+  variant: { type: "string" },
+  "count-bits": { type: "string" },
+  model: { type: "string" },
+  "max-dict": { type: "string" },
+  window: { type: "string" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false }
+};
+
+// ==========================================
+// 入出力
+// ==========================================
+const checkSize = (size) => {
+  if (size > MAX_INPUT_BYTES) {
+    throw new Error(`入力が大きすぎます (${size} bytes)。扱えるのは ${MAX_INPUT_BYTES} bytes までです。`);
+  }
+};
+
+// 文字として読むときは UTF-8、--bytes のときは 1バイト = 8bit の記号の配列にする
+const readInput = (values, file) => {
+  if (values.text !== undefined) {
+    if (file) throw new UsageError("--text と入力ファイルは同時に指定できません。");
+    const bytes = new TextEncoder().encode(values.text);
+    checkSize(bytes.length);
+    return values.bytes ? Array.from(bytes) : values.text;
+  }
+  let bytes;
+  try {
+    bytes = fs.readFileSync(!file || file === "-" ? 0 : file);
+  } catch (e) {
+    throw new Error(`入力ファイル「${file}」を読めませんでした (${e.code || e.message})。`);
+  }
+  if (bytes.length === 0) throw new Error("入力が空です。");
+  checkSize(bytes.length);
+  if (values.bytes) return Array.from(bytes);
+  // 文字として読めないファイルを置き換え文字 (U+FFFD) に変えてしまうと、元どおりに復元できなくなる
+  try {
+    return new TextDecoder("utf-8", { fatal: true, ignoreBOM: true }).decode(bytes);
+  } catch (e) {
+    throw new Error(`「${file || "標準入力"}」は UTF-8 の文字として読めません。バイトの並びとして扱うには --bytes を付けてください。`);
+  }
+};
+
+const writeOutput = (output, data) => {
+  if (output) fs.writeFileSync(output, data);
+  else process.stdout.write(data);
+};
+
+const positiveInt = (text, name) => {
+  const n = Number(text);
+  if (!Number.isInteger(n) || n <= 0) throw new UsageError(`${name} には正の整数を指定してください (${text})。`);
+  return n;
+};
+
+// アルゴリズムごとのオプションを encode に渡す形にする
+// recordSteps = false にすると、大きなファイルでもメモリが足りるよう手順 (animationSteps) を省ける方式では省く
+const encodeOptions = (algo, values, input, recordSteps = true) => {
+  const options = Array.isArray(input) ? { symbolBits: 8, recordSteps } : { recordSteps };
+  if (algo === "rle") {
+    if (values.variant && !["basic", "packbits", "escape", "fixed"].includes(values.variant)) {
+      throw new UsageError(`RLE の方式「${values.variant}」はありません (basic / packbits / escape / fixed)。`);
+    }
+    if (values.variant) options.variant = values.variant;
+    if (values["count-bits"]) options.countBits = positiveInt(values["count-bits"], "--count-bits");
+  }
+  if (algo === "arithmetic" && values.model) {
+    if (!["fixed", "adaptive"].includes(values.model)) throw new UsageError(`確率モデル「${values.model}」はありません (fixed / adaptive)。`);
+    options.model = values.model;
+  }
+  if (algo === "lzw" && values["max-dict"]) options.maxDictSize = positiveInt(values["max-dict"], "--max-dict");
+  if (algo === "lz77" && values.window) options.windowSize = positiveInt(values.window, "--window");
+  return options;
+};
+
+const checkAlgo = (algo) => {
+  if (!ALGO_NAMES[algo]) throw new UsageError(`アルゴリズム「${algo}」はありません (${Object.keys(ALGO_NAMES).join(" / ")})。`);
+};
+
+const ratioText = (bits, originalBits) => `${((bits / originalBits) * 100).toFixed(1)}%`;
+
+// ==========================================
+// コマンド
+// ==========================================
+const commands = {
+  encode: (values, file) => {
+    checkAlgo(values.algo);
+    const input = readInput(values, file);
+    const res = CompressionLogic[values.algo].encode(input, encodeOptions(values.algo, values, input, false));
+    if (!values.output && process.stdout.isTTY) {
+      throw new UsageError("圧縮ファイルは画面に表示できません。-o で書き出し先を指定してください。");
+    }
+    writeOutput(values.output, res.binary);
+    // 結果の概要は標準エラー出力へ (標準出力は圧縮ファイルの中身に使う)
+    process.stderr.write(`${ALGO_NAMES[values.algo]}: ${res.originalLength} bits → ${res.fileBits} bits (${ratioText(res.fileBits, res.originalLength)}, ヘッダー ${res.headerBits} bits + データ本体 ${res.payloadBits} bits)\n`);
+  },
+
+  // どの方式で圧縮したかはファイルの先頭に書いてあるので、--algo は不要
+  decode: (values, file) => {
+    let bytes;
+    try {
+      bytes = fs.readFileSync(!file || file === "-" ? 0 : file);
+    } catch (e) {
+      throw new Error(`圧縮ファイル「${file}」を読めませんでした (${e.code || e.message})。`);
+    }
+    const res = CompressionLogic.container.decode(new Uint8Array(bytes));
+    if (res.error) throw new Error(res.error);
+    writeOutput(values.output, typeof res.decoded === "string" ? res.decoded : Uint8Array.from(res.decoded));
+    process.stderr.write(`${ALGO_NAMES[res.algo]} の圧縮ファイル (${res.fileBits} bits) を ${res.originalLength} 記号に復元しました。\n`);
+  },
+
+  compare: (values, file) => {
+    const input = readInput(values, file);
+    const rows = COMPARE_ALGOS.map(algo => {
+      const res = CompressionLogic[algo].encode(input, encodeOptions(algo, values, input, false));
+      return { algo, name: ALGO_NAMES[algo], originalBits: res.originalLength, headerBits: res.headerBits, payloadBits: res.payloadBits, fileBits: res.fileBits };
+    });
+    if (values.json) {
+      writeOutput(values.output, `${JSON.stringify(rows, null, 2)}\n`);
+      return;
+    }
+    const best = Math.min(...rows.map(row => row.fileBits));
+    const lines = [
+      `元のサイズ: ${rows[0].originalBits} bits`,
+      ...rows.map(row => `${row.fileBits === best ? "*" : " "} ${row.algo.padEnd(16)} ${String(row.fileBits).padStart(10)} bits  ${ratioText(row.fileBits, row.originalBits).padStart(7)}  (ヘッダー ${row.headerBits} + データ本体 ${row.payloadBits})`),
+      "* が最も小さい方式です。サイズはヘッダー (符号表など) を含めたファイル全体のビット数です。"
+    ];
+    writeOutput(values.output, `${lines.join("\n")}\n`);
+  },
+
+  // アプリのビジュアライザーと同じステップを書き出す (ワークシートや解答の作成用)
+  steps: (values, file) => {
+    checkAlgo(values.algo);
+    const input = readInput(values, file);
+    // 文字列の length は UTF-16 単位なので、記号 (文字) の数は Array.from で数える
+    const symbols = Array.isArray(input) ? input.length : Array.from(input).length;
+    if (symbols > MAX_STEPS_SYMBOLS) {
+      throw new Error(`steps で書き出せるのは ${MAX_STEPS_SYMBOLS} 記号までです (入力は ${symbols} 記号)。先頭だけを切り出して試してください。`);
+    }
+    const res = CompressionLogic[values.algo].encode(input, encodeOptions(values.algo, values, input));
+    if (values.json) {
+      const json = { algo: values.algo, encoded: res.encoded, originalBits: res.originalLength, fileBits: res.fileBits, steps: res.animationSteps };
+      writeOutput(values.output, `${JSON.stringify(json, null, 2)}\n`);
+      return;
+    }
+    const lines = res.animationSteps.map((step, i) => `${String(i + 1).padStart(4)}. ${step.description.replace(/\n/g, "\n      ")}`);
+    lines.push("", `圧縮データ: ${res.encoded}`, `サイズ: ${res.originalLength} bits → ${res.fileBits} bits (${ratioText(res.fileBits, res.originalLength)})`);
+    writeOutput(values.output, `${lines.join("\n")}\n`);
+  }
+};
+
+// ==========================================
+// 実行
+// ==========================================
+const main = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const { values, positionals } = parsed;
+  const [command, file, ...rest] = positionals;
+  if (values.help || !command) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+  if (!commands[command]) throw new UsageError(`コマンド「${command}」はありません (encode / decode / compare / steps)。`);
+  if (rest.length > 0) throw new UsageError(`入力ファイルは1つだけ指定できます (${rest.join(", ")})。`);
+  commands[command](values, file);
+};
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  process.stderr.write(`compress-lab: ${e.message}\n`);
+  if (e instanceof UsageError) process.stderr.write("compress-lab --help で使い方を表示します。\n");
+  process.exitCode = e instanceof UsageError ? 2 : 1;
+}
@@ -3,67 +3,771 @@
  * Information I - Data Compression Logic
  */
 
+// ==========================================
+// 文字列 ⇔ UTF-8 バイト列
+// ==========================================
+const utf8Encode = (text) => new TextEncoder().encode(text);
+// ignoreBOM: 先頭が BOM の文字列もそのまま往復できるようにする
+const utf8Decode = (bytes) => new TextDecoder("utf-8", { ignoreBOM: true }).decode(bytes);
+
+// ==========================================
+// ビット単位の読み書き (Bit I/O)
+// ==========================================
+// 上位ビットから順に詰めていく。最後のバイトの余りは0で埋める。
+const createBitWriter = () => {
+  const bytes = [];
+  let current = 0;
+  let used = 0;
+
+  const writeBit = (bit) => {
+    current = (current << 1) | bit;
+    used++;
+    if (used === 8) {
+      bytes.push(current);
+      current = 0;
+      used = 0;
+    }
+  };
+
+  return {
+    write: (value, width) => {
+      for (let b = width - 1; b >= 0; b--) {
+        writeBit(Math.floor(value / 2 ** b) % 2);
+      }
+    },
+    writeBitString: (bits) => {
+      for (const bit of bits) writeBit(bit === "1" ? 1 : 0);
+    },
+    writeBytes: (data) => {
+      data.forEach(byte => {
+        for (let b = 7; b >= 0; b--) writeBit((byte >> b) & 1);
+      });
+    },
+    getBitLength: () => bytes.length * 8 + used,
+    toBytes: () => {
+      const out = [...bytes];
+      if (used > 0) out.push(current << (8 - used));
+      return Uint8Array.from(out);
+    }
+  };
+};
+
+const createBitReader = (data) => {
+  let pos = 0; // 読み取り位置（ビット単位）
+  const totalBits = data.length * 8;
+
+  const readBit = () => {
+    if (pos >= totalBits) throw new Error("データが途中で終わっています");
+    const bit = (data[pos >> 3] >> (7 - (pos & 7))) & 1;
+    pos++;
+    return bit;
+  };
+
+  return {
+    read: (width) => {
+      let value = 0;
+      for (let b = 0; b < width; b++) value = value * 2 + readBit();
+      return value;
+    },
+    readBit,
+    // UTF-8 の1文字分を読む（先頭バイトから続くバイト数を判定）
+    readUtf8Char: () => {
+      let first = 0;
+      for (let b = 0; b < 8; b++) first = (first << 1) | readBit();
+      const extra = first >= 0xf0 ? 3 : first >= 0xe0 ? 2 : first >= 0xc0 ? 1 : 0;
+      const bytes = [first];
+      for (let i = 0; i < extra; i++) {
+        let byte = 0;
+        for (let b = 0; b < 8; b++) byte = (byte << 1) | readBit();
+        bytes.push(byte);
+      }
+      return utf8Decode(Uint8Array.from(bytes));
+    },
+    remaining: () => totalBits - pos
+  };
+};
+
+// ==========================================
+// 圧縮ファイルの入れ物 (Container Format)
+// ==========================================
+// [マジック "CMP" + 版数(1)] [アルゴリズムID 1byte] [元の長さ 4byte] [方式ごとのヘッダー] [データ本体]
+const CONTAINER_MAGIC = [0x43, 0x4d, 0x50, 0x01];
+// どの方式にも共通する先頭部分 (マジック + アルゴリズムID + 元の長さ) のビット数
+const CONTAINER_COMMON_BITS = (CONTAINER_MAGIC.length + 1 + 4) * 8;
+const ALGO_IDS = { rle: 1, huffman: 2, lzw: 3, lz77: 4, rleHuffman: 5, arithmetic: 6, bwt: 7, mtf: 8, adaptiveHuffman: 9 };
+
+// writeExtraHeader: 符号表などの追加ヘッダー, writePayload: データ本体
+const writeContainer = (algo, originalLength, writeExtraHeader, writePayload) => {
+  const writer = createBitWriter();
+  writer.writeBytes(CONTAINER_MAGIC);
+  writer.write(ALGO_IDS[algo], 8);
+  writer.write(originalLength, 32);
+  if (writeExtraHeader) writeExtraHeader(writer);
+  const headerBits = writer.getBitLength();
+  writePayload(writer);
+  const binary = writer.toBytes();
+  return { binary, headerBits, payloadBits: binary.length * 8 - headerBits, fileBits: binary.length * 8 };
+};
+
+// 0 から maxValue までを表すのに必要なビット数
+const bitsFor = (maxValue) => Math.max(1, Math.ceil(Math.log2(maxValue + 1)));
+
+// LZW のコード割り当て (GIF と同じ考え方)
+// 0〜2^symbolBits-1: 初期辞書 / 2^symbolBits: クリアコード (辞書を初期状態に戻す合図) / それ以降: 登録した並び
+// コード幅は「その時点で現れうる最大のコード」が収まるビット数で、辞書が育つにつれて1bitずつ広がる
+const LZW_DEFAULT_MAX_DICT = 4096;
+const lzwCodeLayout = (symbolBits, maxDictSize) => {
+  const clearCode = 2 ** (symbolBits || 8);
+  const firstCode = clearCode + 1;
+  // 指定がなければ GIF と同じく「記号のビット数 + 4bit」までのコードを使う (8bit の記号なら 4096)
+  const limit = Math.max(maxDictSize || Math.max(LZW_DEFAULT_MAX_DICT, clearCode * 16), firstCode + 1);
+  return {
+    clearCode,
+    firstCode,
+    maxDictSize: limit,
+    // クリアしてから k 番目に書くコードの幅 (符号化側と復元側で同じ数え方をする)
+    widthFor: (k) => bitsFor(Math.min(firstCode + k - 1, limit - 1))
+  };
+};
+
+// LZW の辞書のキーは1記号を unit 文字にした文字列。fromCharCode は下位16bitしか残さないので、
+// 16bit を超える記号 (16bit 音声の差分など) は上位・下位の2文字に分けて、違う記号が同じキーにならないようにする
+const lzwKeyUnit = (symbolBits) => (symbolBits > 16 ? 2 : 1);
+const lzwKeyChar = (symbol, unit) => (unit === 1 ? String.fromCharCode(symbol) : String.fromCharCode(Math.floor(symbol / 0x10000), symbol % 0x10000));
+const lzwKeySymbols = (key, unit) => {
+  const symbols = [];
+  for (let i = 0; i < key.length; i += unit) {
+    symbols.push(unit === 1 ? key.charCodeAt(i) : key.charCodeAt(i) * 0x10000 + key.charCodeAt(i + 1));
+  }
+  return symbols;
+};
+
+// ==========================================
+// 記号列への変換 (Symbols)
+// ==========================================
+// 文字列は文字（コードポイント）単位で扱い、元のサイズは UTF-8 のバイト数で数える。
+// 配列（画素値など）は0以上の整数の記号とし、1記号を symbolBits ビットで表す。
+const toSymbols = (input, symbolBits) => {
+  if (typeof input === "string") {
+    return { symbols: Array.from(input), symbolBits: 0, originalBits: utf8Encode(input).length * 8 };
+  }
+  const bits = symbolBits || bitsFor(input.reduce((max, v) => Math.max(max, v), 0));
+  return { symbols: input, symbolBits: bits, originalBits: input.length * bits };
+};
+
+// symbolBits = 0 なら文字を UTF-8 で、それ以外は固定幅の整数で読み書きする
+const writeSymbol = (writer, symbol, symbolBits) => {
+  if (symbolBits) writer.write(symbol, symbolBits);
+  else writer.writeBytes(utf8Encode(symbol));
+};
+const readSymbol = (reader, symbolBits) => symbolBits ? reader.read(symbolBits) : reader.readUtf8Char();
+
+// 正規化ハフマン符号 (canonical Huffman): 符号長の短い順（同じ長さなら記号の小さい順）に、0 から連番で符号を振る。
+// 符号長さえ分かれば同じ符号を作り直せるので、符号表には符号そのものを書かなくてよい
+// entries: [記号, 符号長] の配列。並べ替えた順に [記号, 符号] を返す
+const canonicalCodes = (entries) => {
+  const sorted = [...entries].sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  let code = 0;
+  let prevLength = sorted.length ? sorted[0][1] : 0;
+  return sorted.map(([symbol, length]) => {
+    code *= 2 ** (length - prevLength);
+    prevLength = length;
+    const bits = code.toString(2).padStart(length, "0");
+    code++;
+    return [symbol, bits];
+  });
+};
+
+// ハフマン符号表の読み書き: [種類数 16bit] + 各記号 [記号, 符号長 8bit]（正規化ハフマン符号が前提）
+// entries: [記号, 符号] の配列。読み込み時は符号を作り直し、「符号 → 記号」の対応表を返す
+const writeHuffmanTable = (writer, entries, symbolBits) => {
+  writer.write(entries.length, 16);
+  entries.forEach(([symbol, code]) => {
+    writeSymbol(writer, symbol, symbolBits);
+    writer.write(code.length, 8);
+  });
+};
+const readHuffmanTable = (reader, symbolBits) => {
+  const entries = [];
+  const entryCount = reader.read(16);
+  for (let i = 0; i < entryCount; i++) {
+    const symbol = readSymbol(reader, symbolBits);
+    entries.push([symbol, reader.read(8)]);
+  }
+  const reverseMap = {};
+  canonicalCodes(entries).forEach(([symbol, code]) => { reverseMap[code] = symbol; });
+  return reverseMap;
+};
+
+// ==========================================
+// 算術符号化の区間と確率モデル
+// ==========================================
+// 区間 [low, high] を 32bit の整数で持つ。0〜ARITH_FULL を 0〜1 の数直線とみなす
+const ARITH_BITS = 32;
+const ARITH_FULL = 2 ** ARITH_BITS;
+const ARITH_HALF = ARITH_FULL / 2;
+const ARITH_QUARTER = ARITH_FULL / 4;
+
+// 整数どうしの割り算の切り捨て（浮動小数点の丸め誤差が出ないよう余りを先に引く）
+const floorDiv = (a, b) => (a - (a % b)) / b;
+
+// entries: [記号, 回数] の配列。adaptive なら全記号を回数1から始め、記号を1つ処理するごとにその回数を1増やす
+const createArithmeticModel = (entries, adaptive) => {
+  const symbols = entries.map(([symbol]) => symbol);
+  const counts = entries.map(([, count]) => adaptive ? 1 : count);
+  const position = new Map(symbols.map((symbol, k) => [symbol, k]));
+
+  const total = () => counts.reduce((sum, c) => sum + c, 0);
+  // 記号 k より前の回数の合計（累積度数）
+  const cumulative = (k) => counts.slice(0, k).reduce((sum, c) => sum + c, 0);
+
+  return {
+    symbols,
+    counts,
+    total,
+    range: (symbol) => {
+      const k = position.get(symbol);
+      const low = cumulative(k);
+      return { low, high: low + counts[k], total: total() };
+    },
+    // 累積度数 scaled を含む記号を探す（復元用）
+    find: (scaled) => {
+      let cum = 0;
+      for (let k = 0; k < symbols.length; k++) {
+        if (scaled < cum + counts[k]) return symbols[k];
+        cum += counts[k];
+      }
+      return symbols[symbols.length - 1];
+    },
+    update: (symbol) => {
+      if (adaptive) counts[position.get(symbol)]++;
+    }
+  };
+};
+
+// 現在の区間を、モデルの確率に従って記号ごとの小区間に分ける（0〜1 の数で表す）
+const arithmeticSegments = (model, low, high) => {
+  const range = high - low + 1;
+  const total = model.total();
+  let cum = 0;
+  return model.symbols.map((symbol, k) => {
+    const from = low + floorDiv(range * cum, total);
+    cum += model.counts[k];
+    const to = low + floorDiv(range * cum, total);
+    return { symbol, low: from / ARITH_FULL, high: to / ARITH_FULL };
+  });
+};
+
+// ==========================================
+// 適応型ハフマン木 (FGK法)
+// ==========================================
+// 符号化側・復元側がまったく同じ手順で木を育てるので、符号表を保存しなくてよい。
+// nodes は節点番号の大きい順（根が先頭）。兄弟性 (番号順に重みが小さくならない) を保つよう、
+// 重みを増やす前に「同じ重みで番号が最大の節点」と入れ替える。
+const createAdaptiveHuffmanTree = () => {
+  let nextId = 0;
+  const makeNode = (props) => ({ id: nextId++, char: null, weight: 0, parent: null, left: null, right: null, nyt: false, ...props });
+  let nyt = makeNode({ nyt: true }); // NYT: まだ出てきていない記号 (Not Yet Transmitted) の代表
+  const root = nyt;
+  const nodes = [root];
+  const leaves = new Map();
+
+  const isLeaf = (node) => node.left === null;
+  const codeOf = (node) => {
+    let code = "";
+    for (let n = node; n.parent; n = n.parent) code = (n.parent.left === n ? "0" : "1") + code;
+    return code;
+  };
+  const pathOf = (node) => {
+    const ids = [];
+    for (let n = node; n; n = n.parent) ids.unshift(n.id);
+    return ids;
+  };
+
+  const swapNodes = (a, b) => {
+    const ia = nodes.indexOf(a);
+    const ib = nodes.indexOf(b);
+    nodes[ia] = b;
+    nodes[ib] = a;
+    const pa = a.parent;
+    const pb = b.parent;
+    if (pa === pb) {
+      [pa.left, pa.right] = [pa.right, pa.left];
+      return;
+    }
+    const aIsLeft = pa.left === a;
+    if (pb.left === b) pb.left = a; else pb.right = a;
+    if (aIsLeft) pa.left = b; else pa.right = b;
+    a.parent = pb;
+    b.parent = pa;
+  };
+
+  // 表示用のコピー: ハフマン木の表示と同じ形 ({ id, char, freq, left, right }) に、節点番号 order を付ける
+  const snapshot = (node = root) => ({
+    id: node.id,
+    char: node.nyt ? "NYT" : isLeaf(node) ? node.char : null,
+    freq: node.weight,
+    order: nodes.length - nodes.indexOf(node),
+    left: node.left && snapshot(node.left),
+    right: node.right && snapshot(node.right)
+  });
+
+  return {
+    root,
+    isLeaf,
+    has: (symbol) => leaves.has(symbol),
+    nyt: () => nyt,
+    leaf: (symbol) => leaves.get(symbol),
+    codeOf,
+    pathOf,
+    snapshot: () => snapshot(),
+    // 記号を1つ処理した後の更新。入れ替えた節点の組と、重みを増やした節点を返す
+    update: (symbol) => {
+      const swaps = [];
+      const touched = [];
+      let node;
+      let newLeaf = null;
+      if (!leaves.has(symbol)) {
+        // NYT を「新しい NYT (左)」と「新しい記号の葉 (右)」に分ける
+        const old = nyt;
+        newLeaf = makeNode({ char: symbol, parent: old });
+        nyt = makeNode({ nyt: true, parent: old });
+        old.nyt = false;
+        old.left = nyt;
+        old.right = newLeaf;
+        nodes.push(newLeaf, nyt);
+        leaves.set(symbol, newLeaf);
+        newLeaf.weight++;
+        old.weight++;
+        touched.push(newLeaf.id, old.id);
+        node = old.parent;
+      } else {
+        node = leaves.get(symbol);
+      }
+      while (node) {
+        const current = node;
+        const leader = nodes.find(n => n.weight === current.weight && n !== current.parent);
+        if (leader !== current) {
+          swaps.push([current.id, leader.id]);
+          swapNodes(current, leader);
+        }
+        current.weight++;
+        touched.push(current.id);
+        node = current.parent;
+      }
+      return { swaps, touched, newLeafId: newLeaf && newLeaf.id };
+    }
+  };
+};
+
+// ==========================================
+// BWT の回転の並べ替え
+// ==========================================
+// 回転を1つずつ先頭から比べると、同じ記号が続く入力では比較1回に n 記号かかる。
+// 「先頭 k 記号の順位」の組 (先頭 k 記号, 続く k 記号) から「先頭 2k 記号の順位」を作るのをくり返す (倍々法)。
+// 全部の順位が分かれるか k が n 以上になったら終わり。まったく同じ回転どうしは開始位置の順に並べる
+const sortRotations = (symbols) => {
+  const n = symbols.length;
+  const alphabet = [...new Set(symbols)].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const symbolRank = new Map(alphabet.map((symbol, r) => [symbol, r]));
+  let rank = symbols.map(symbol => symbolRank.get(symbol));
+  const sorted = symbols.map((_, start) => start);
+  for (let k = 1; ; k *= 2) {
+    const key = (i) => rank[(i + k) % n];
+    sorted.sort((a, b) => rank[a] - rank[b] || key(a) - key(b) || a - b);
+    const next = new Array(n);
+    next[sorted[0]] = 0;
+    for (let r = 1; r < n; r++) {
+      const a = sorted[r - 1];
+      const b = sorted[r];
+      next[b] = next[a] + (rank[a] !== rank[b] || key(a) !== key(b) ? 1 : 0);
+    }
+    rank = next;
+    if (rank[sorted[n - 1]] === n - 1 || k >= n) return sorted;
+  }
+};
+
+// ==========================================
+// DCT (離散コサイン変換) と量子化の道具
+// ==========================================
+const DCT_N = 8;
+// JPEG の標準の輝度量子化テーブル (品質 50 のときの値)。右下 (高い周波数) ほど粗く量子化する
+const JPEG_LUMINANCE_QUANT = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99
+];
+// DCT_BASIS[u][x] = C(u) cos((2x+1)uπ/16)。C(0) = 1/√2, それ以外は 1
+const DCT_BASIS = Array.from({ length: DCT_N }, (_, u) =>
+  Array.from({ length: DCT_N }, (_, x) => (u === 0 ? Math.SQRT1_2 : 1) * Math.cos((2 * x + 1) * u * Math.PI / (2 * DCT_N))));
+// 復元するファイルに必要な情報 (画像の一辺 8bit + 品質 8bit)
+const DCT_HEADER_BITS = 16;
+
+// 符号付きの整数を 0 以上の整数に並べ直す (0, -1, 1, -2, 2, ... → 0, 1, 2, 3, 4, ...)
+const toUnsigned = (v) => v >= 0 ? v * 2 : -v * 2 - 1;
+
+// ==========================================
+// 音声 (波形) の道具
+// ==========================================
+// 可視化と圧縮の計算が重くならないよう、扱う標本の数に上限を設ける
+const AUDIO_MAX_SAMPLES = 4000;
+const AUDIO_SOURCE_BITS = 16; // 合成した音は 16bit の PCM とみなす
+
+// RIFF/WAV の中の文字列 (チャンク名など) を読む
+const readAscii = (bytes, offset, length) => String.fromCharCode(...bytes.slice(offset, offset + length));
+
+// ==========================================
+// 練習問題の道具
+// ==========================================
+const QUIZ_LETTERS = "ABCDEFGHIJKLMNOPRSTUVWXYZ";
+const pickOne = (list, random) => list[Math.floor(random() * list.length)];
+const shuffled = (list, random) => {
+  const result = [...list];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+// 重ならない文字を count 個選ぶ
+const pickLetters = (count, random) => shuffled(QUIZ_LETTERS.split(""), random).slice(0, count).sort();
+// 答えの書き方の違い (空白・カンマ・× の代わりの x や *) を吸収する
+const normalizeRunAnswer = (text) => String(text).replace(/[xX*＊]/g, "×").replace(/[\s,、，]+/g, "");
+
+// ==========================================
+// RLE の方式 (ランの書き方の違い)
+// ==========================================
+// basic: 記号 + 個数(8bit) / packbits: 「そのまま」と「繰り返し」のパケット
+// escape: 3回以上のランだけ「目印 + 記号 + 個数」にする / fixed: 個数を決まったビット数で書き、収まらないランは分割する
+const RLE_VARIANTS = { basic: 0, packbits: 1, escape: 2, fixed: 3 };
+const RLE_VARIANT_NAMES = Object.keys(RLE_VARIANTS);
+const PACKBITS_MAX = 128; // 1パケットに入る記号の数の上限
+const RLE_ESCAPE_MIN = 3; // 目印を付けるランの長さの下限 (2回までなら並べた方が短い)
+const RLE_TEXT_ESCAPE = "#";
+
+// 復元に必要な方式の指定 ("packbits", "escape", "fixed:4" など。空欄は basic)
+const parseRleVariant = (spec) => {
+  const [name, bits] = String(spec || "basic").trim().split(":");
+  if (!RLE_VARIANT_NAMES.includes(name)) return null;
+  const countBits = name === "fixed" ? Number(bits || 4) : 8;
+  if (!Number.isInteger(countBits) || countBits < 1 || countBits > 8) return null;
+  return { variant: name, countBits };
+};
+
+// 1バイトを表示用の文字に（ASCIIはそのまま、それ以外は16進数）
+const byteLabel = (byte) => byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : byte.toString(16).toUpperCase().padStart(2, "0");
+
+// 記号列（1記号=unit 文字の文字列, lzwKeyChar を参照）を「3,5,1」のような表示にする
+const showSymbols = (symbolStr, unit = 1) => lzwKeySymbols(symbolStr, unit).join(",");
+
+// バイト列（1文字=1バイトの文字列）を表示用に整える。UTF-8として正しければ文字に戻し、そうでなければ16進数で示す
+const showBytes = (byteStr) => {
+  const bytes = Uint8Array.from(byteStr, ch => ch.charCodeAt(0));
+  try {
+    return new TextDecoder("utf-8", { fatal: true, ignoreBOM: true }).decode(bytes);
+  } catch (e) {
+    return Array.from(bytes, b => b < 0x80 ? String.fromCharCode(b) : `[${byteLabel(b)}]`).join("");
+  }
+};
+
 const CompressionLogic = {
   // ==========================================
   // ランレングス圧縮 (RLE)
   // ==========================================
   rle: {
-    encode: (text) => {
-      if (!text) return { encoded: "", ratio: 0, steps: [], animationSteps: [] };
+    // input: 文字列、または画素値などの整数配列 (options.symbolBits で1記号のビット数を指定)
+    // options.variant: "basic" | "packbits" | "escape" | "fixed", options.countBits: fixed の個数のビット数
+    encode: (input, options = {}) => {
+      if (!input || input.length === 0) return { encoded: "", ratio: 0, steps: [], animationSteps: [] };
+      const { symbols, symbolBits, originalBits } = toSymbols(input, options.symbolBits);
+      const isText = symbolBits === 0;
+      const variant = RLE_VARIANT_NAMES.includes(options.variant) ? options.variant : "basic";
+      const countBits = variant === "fixed" ? (options.countBits || 4) : 8;
+      const maxCount = 2 ** countBits - 1;
+      const unitName = isText ? "文字" : "記号";
+
+      // 連続する同じ記号 (ラン) に区切る
+      const runs = [];
+      for (let i = 0; i < symbols.length;) {
+        let count = 1;
+        while (i + count < symbols.length && symbols[i] === symbols[i + count]) {
+          count++;
+        }
+        runs.push({ char: symbols[i], start: i, count });
+        i += count;
+      }
+
       let encoded = "";
-      let i = 0;
       // ステップ表示用（静的リスト）
       const steps = [];
       // アニメーション用（詳細ステップ）
       const animationSteps = [];
-      
-      while (i < text.length) {
-        let count = 1;
-        // 連続数を数える
-        while (i + count < text.length && text[i] === text[i + count]) {
-          count++;
-        }
-        
-        const char = text[i];
-        const segment = char + count;
+      // 書き出す単位 (basic/fixed: ラン, packbits: パケット, escape: 目印付きのランか、そのままの記号)
+      const packets = [];
+      let escapeSymbol = null; // escape の目印の記号
+      const addStep = (index, length, description, segment) => {
         encoded += segment;
-        
-        // 静的リスト用
-        steps.push({ char, count, output: segment });
+        animationSteps.push({ index, length, description, outputChunk: segment, currentEncoded: encoded });
+      };
+      // 文字列では、数字や「\」そのものは「\」を付けて個数と区別する（例: "111" → "\13"）
+      // 配列では「記号×個数」を空白区切りで並べる
+      const runSegment = (char, count) => isText
+        ? (/[0-9\\]/.test(char) ? "\\" + char : char) + count
+        : (encoded ? " " : "") + `${char}×${count}`;
 
-        // アニメーション用: 処理中の範囲と結果を記録
-        animationSteps.push({
-          index: i,
-          length: count,
-          description: `「${char}」が ${count} 回連続しています`,
-          outputChunk: segment,
-          currentEncoded: encoded
+      if (variant === "basic" || variant === "fixed") {
+        runs.forEach(({ char, start, count }) => {
+          // fixed では個数のビット数に収まらないランを分割する（basic の 256個以上の分割はファイルの中だけで行う）
+          const limit = variant === "fixed" ? maxCount : count;
+          for (let done = 0; done < count; done += limit) {
+            const part = Math.min(limit, count - done);
+            const segment = runSegment(char, part);
+            steps.push({ char, count: part, output: segment });
+            packets.push({ char, count: part });
+            let description = `「${char}」が ${count} 回連続しています`;
+            if (part < count) description += `\n個数は ${countBits}bit (最大 ${maxCount}) までしか書けないので、${part} 個ずつに分けます (${done + part}/${count})`;
+            addStep(start + done, part, description, segment);
+          }
         });
+      } else if (variant === "packbits") {
+        // 見出し: そのまま n 個 → n-1 (0〜127) / 繰り返し n 回 → -(n-1) を 8bit で表した値 (129〜255)
+        let literal = [];
+        let literalStart = 0;
+        const flushLiteral = () => {
+          for (let done = 0; done < literal.length; done += PACKBITS_MAX) {
+            const part = literal.slice(done, done + PACKBITS_MAX);
+            const header = part.length - 1;
+            const segment = (encoded && !isText ? " " : "") + `[${part.length}]` + part.join(isText ? "" : ",");
+            steps.push({ type: "literal", header, symbols: part, output: segment });
+            packets.push({ header, symbols: part });
+            addStep(literalStart + done, part.length, `繰り返しの少ない ${part.length} ${unitName}を「そのまま並べるパケット」にまとめます\n見出し ${header} (= ${part.length}-1) の後に ${part.length} ${unitName}をそのまま書きます`, segment);
+          }
+          literal = [];
+        };
+        runs.forEach(({ char, start, count }) => {
+          let rest = count;
+          let pos = start;
+          while (rest >= RLE_ESCAPE_MIN || (rest >= 2 && literal.length === 0)) {
+            flushLiteral();
+            const part = Math.min(rest, PACKBITS_MAX);
+            const header = 257 - part;
+            const segment = (encoded && !isText ? " " : "") + `[${part}×]${char}`;
+            steps.push({ type: "repeat", header, char, count: part, output: segment });
+            packets.push({ header, symbols: [char] });
+            addStep(pos, part, `「${char}」が ${part} 回連続しているので「繰り返しパケット」にします\n見出し ${header} (= -${part - 1}) の後に「${char}」を1つだけ書きます`, segment);
+            rest -= part;
+            pos += part;
+          }
+          // 短いラン (と分割の余り) はそのまま並べるパケットに加える
+          if (rest > 0 && literal.length === 0) literalStart = pos;
+          for (let k = 0; k < rest; k++) literal.push(char);
+        });
+        flushLiteral();
+      } else {
+        // 目印の記号: 文字列は「#」、記号配列は使われていない（なければ最も少ない）値
+        if (isText) {
+          escapeSymbol = RLE_TEXT_ESCAPE;
+        } else {
+          const freq = new Array(2 ** symbolBits).fill(0);
+          symbols.forEach(v => { freq[v]++; });
+          escapeSymbol = freq.indexOf(Math.min(...freq));
+        }
+        const escapeSegment = (char, count) => isText
+          ? `${escapeSymbol}${char}${String(count).padStart(3, "0")}`
+          : (encoded ? " " : "") + `#${char}×${count}`;
+        const literalSegment = (char, count) => isText
+          ? char.repeat(count)
+          : (encoded ? " " : "") + new Array(count).fill(char).join(" ");
+        runs.forEach(({ char, start, count }) => {
+          for (let done = 0; done < count; done += 255) {
+            const part = Math.min(255, count - done);
+            if (part >= RLE_ESCAPE_MIN || char === escapeSymbol) {
+              const segment = escapeSegment(char, part);
+              steps.push({ type: "run", char, count: part, output: segment });
+              packets.push({ escape: true, char, count: part });
+              const reason = part >= RLE_ESCAPE_MIN
+                ? `「${char}」が ${part} 回連続しているので`
+                : `「${char}」は目印と同じ記号なので、1回でも`;
+              addStep(start + done, part, `${reason}「目印 ${escapeSymbol} + 記号 + 個数」の形で書きます`, segment);
+            } else {
+              const segment = literalSegment(char, part);
+              steps.push({ type: "literal", char, count: part, output: segment });
+              for (let k = 0; k < part; k++) packets.push({ escape: false, char });
+              addStep(start + done, part, `「${char}」は ${part} 回だけなので、個数を付けずにそのまま書きます`, segment);
+            }
+          }
+        });
+      }
 
-        i += count;
+      // ファイルへの書き出し。追加ヘッダーは記号のビット数 (0 = 文字を UTF-8 で格納) と方式
+      // (fixed は個数のビット数、escape は目印の記号も書く)
+      const file = writeContainer("rle", symbols.length, (writer) => {
+        writer.write(symbolBits, 8);
+        writer.write(RLE_VARIANTS[variant], 8);
+        if (variant === "fixed") writer.write(countBits, 8);
+        if (variant === "escape") writeSymbol(writer, escapeSymbol, symbolBits);
+      }, (writer) => {
+        packets.forEach((packet) => {
+          if (variant === "basic") {
+            // 1ランにつき「記号 + 個数(8bit)」。256個以上のランは分割する
+            for (let rest = packet.count; rest > 0; rest -= 255) {
+              writeSymbol(writer, packet.char, symbolBits);
+              writer.write(Math.min(rest, 255), 8);
+            }
+          } else if (variant === "fixed") {
+            writeSymbol(writer, packet.char, symbolBits);
+            writer.write(packet.count, countBits);
+          } else if (variant === "packbits") {
+            writer.write(packet.header, 8);
+            packet.symbols.forEach(char => writeSymbol(writer, char, symbolBits));
+          } else if (packet.escape) {
+            writeSymbol(writer, escapeSymbol, symbolBits);
+            writeSymbol(writer, packet.char, symbolBits);
+            writer.write(packet.count, 8);
+          } else {
+            writeSymbol(writer, packet.char, symbolBits);
+          }
+        });
+      });
+
+      // 次の段へ渡す出力記号列 (文字はコードポイントの数値にする)
+      const toNumber = (char) => isText ? char.codePointAt(0) : char;
+      const tokens = packets.flatMap((packet) => {
+        if (variant === "packbits") return [packet.header, ...packet.symbols.map(toNumber)];
+        if (variant === "escape") return packet.escape ? [toNumber(escapeSymbol), toNumber(packet.char), packet.count] : [toNumber(packet.char)];
+        return [toNumber(packet.char), packet.count];
+      });
+
+      const ratio = (file.fileBits / originalBits) * 100;
+      return {
+        encoded,
+        ratio,
+        steps,
+        animationSteps,
+        originalLength: originalBits,
+        encodedLength: file.fileBits,
+        symbolBits,
+        variant,
+        countBits,
+        escapeSymbol,
+        // 復元に必要な方式の指定 (basic は空欄でよい)
+        serializedMap: variant === "basic" ? "" : variant === "fixed" ? `fixed:${countBits}` : variant,
+        tokens,
+        ...file
+      };
+    },
+
+    decodeBinary: (reader, length) => {
+      const symbolBits = reader.read(8);
+      const variant = RLE_VARIANT_NAMES[reader.read(8)];
+      const countBits = variant === "fixed" ? reader.read(8) : 8;
+      const escape = variant === "escape" ? readSymbol(reader, symbolBits) : null;
+      const decoded = [];
+      while (decoded.length < length) {
+        if (variant === "packbits") {
+          const header = reader.read(8);
+          if (header < 128) {
+            for (let k = 0; k <= header; k++) decoded.push(readSymbol(reader, symbolBits));
+          } else if (header > 128) {
+            const char = readSymbol(reader, symbolBits);
+            for (let k = 0; k < 257 - header; k++) decoded.push(char);
+          }
+          continue;
+        }
+        const char = readSymbol(reader, symbolBits);
+        if (variant === "escape" && char !== escape) {
+          decoded.push(char);
+          continue;
+        }
+        const runChar = variant === "escape" ? readSymbol(reader, symbolBits) : char;
+        const count = reader.read(countBits);
+        if (count === 0) throw new Error("復元エラー: 個数が 0 のランがあります");
+        for (let k = 0; k < count; k++) decoded.push(runChar);
       }
-      
-      const ratio = (encoded.length / text.length) * 100;
-      return { encoded, ratio, steps, animationSteps, originalLength: text.length, encodedLength: encoded.length };
+      return symbolBits ? decoded : decoded.join("");
     },
     
-    decode: (text) => {
+    decode: (text, variantSpec) => {
+      const res = CompressionLogic.rle.decodeSteps(text, variantSpec);
+      return res.error || res.decoded;
+    },
+
+    // 復元の過程をステップごとに記録する（currentEncoded には復元済みの文字列を入れる）
+    // variantSpec: 圧縮した方式 ("packbits", "escape", "fixed:4"。空欄は basic)
+    decodeSteps: (text, variantSpec) => {
+      const spec = parseRleVariant(variantSpec);
+      if (!spec) return { decoded: "", animationSteps: [], error: "形式エラー: 方式は 空欄 / packbits / escape / fixed:4 のように指定してください" };
+      const { variant, countBits } = spec;
       let decoded = "";
-      const regex = /([^0-9])([0-9]+)/g;
-      let match;
-      
-      while ((match = regex.exec(text)) !== null) {
-        const char = match[1];
-        const count = parseInt(match[2], 10);
-        decoded += char.repeat(count);
+      const animationSteps = [];
+      const push = (index, length, description, chunk) => {
+        decoded += chunk;
+        animationSteps.push({ index, length, description, outputChunk: chunk, currentEncoded: decoded });
+      };
+      const fail = (message) => ({ decoded, animationSteps, error: `形式エラー: ${message}` });
+
+      if (variant === "basic" || variant === "fixed") {
+        // 「\」付きの文字は数字などをそのまま記号として読む
+        const regex = /(\\[\s\S]|[^0-9\\])([0-9]+)/gu;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+          const char = match[1].length > 1 && match[1][0] === "\\" ? match[1].slice(1) : match[1];
+          const count = parseInt(match[2], 10);
+          if (variant === "fixed" && count > 2 ** countBits - 1) {
+            return fail(`個数 ${count} は ${countBits}bit (最大 ${2 ** countBits - 1}) に収まりません`);
+          }
+          // 可視化は文字（コードポイント）単位なので位置を数え直す
+          push(Array.from(text.slice(0, match.index)).length, Array.from(match[0]).length, `「${match[0]}」→「${char}」を ${count} 個並べます`, char.repeat(count));
+        }
+        return { decoded, animationSteps };
       }
-      return decoded;
+
+      const chars = Array.from(text);
+      let p = 0;
+      while (p < chars.length) {
+        if (variant === "packbits") {
+          // [n]… はそのまま n 文字、[n×]c は c を n 回
+          let q = p + 1;
+          let digits = "";
+          while (q < chars.length && /[0-9]/.test(chars[q])) digits += chars[q++];
+          const repeat = chars[q] === "×";
+          if (repeat) q++;
+          if (chars[p] !== "[" || !digits || chars[q] !== "]") return fail(`${p + 1}文字目: パケットは [3]ABC や [5×]A の形で書いてください`);
+          q++;
+          const n = Number(digits);
+          const body = chars.slice(q, q + (repeat ? 1 : n));
+          if (n < 1 || n > PACKBITS_MAX || body.length < (repeat ? 1 : n)) return fail(`${p + 1}文字目: パケットの個数が正しくありません (1〜${PACKBITS_MAX})`);
+          const chunk = repeat ? body[0].repeat(n) : body.join("");
+          const raw = chars.slice(p, q + body.length).join("");
+          push(p, q + body.length - p, repeat
+            ? `繰り返しパケット「${raw}」→「${body[0]}」を ${n} 回並べます`
+            : `そのまま並べるパケット「${raw}」→ 続く ${n} 文字をそのまま出力します`, chunk);
+          p = q + body.length;
+        } else if (chars[p] === RLE_TEXT_ESCAPE) {
+          // 目印 # の後は「記号 + 3桁の個数」
+          const char = chars[p + 1];
+          const digits = chars.slice(p + 2, p + 5).join("");
+          if (char === undefined || !/^[0-9]{3}$/.test(digits)) return fail(`${p + 1}文字目: 目印 ${RLE_TEXT_ESCAPE} の後は「記号 + 3桁の個数」(例: ${RLE_TEXT_ESCAPE}A005) が必要です`);
+          const count = Number(digits);
+          push(p, 5, `目印「${RLE_TEXT_ESCAPE}」があるので、続く「${char}」を ${count} 個並べます`, char.repeat(count));
+          p += 5;
+        } else {
+          push(p, 1, `目印がないので「${chars[p]}」をそのまま出力します`, chars[p]);
+          p++;
+        }
+      }
+      return { decoded, animationSteps };
     },
 
     getDescription: () => ({
       summary: "連続するデータを「データと個数」のセットに置き換える方式。",
       pros: "同じデータが長く連続する場合（例：白黒画像の背景など）に非常に高い圧縮率を発揮する。",
-      cons: "データが連続しない場合（例：文章など）は、逆にデータ量が増えてしまうことがある（「A」→「A1」で2倍）。"
+      cons: "データが連続しない場合（例：文章など）は、逆にデータ量が増えてしまうことがある（「A」→「A1」で2倍）。PackBits や目印方式のように、連続しない部分をそのまま書く工夫で弱点を抑えられる。"
     })
   },
 
@@ -71,40 +775,75 @@ const CompressionLogic = {
   // ハフマン符号化 (Huffman Coding)
   // ==========================================
   huffman: {
-    encode: (text) => {
-      if (!text) return { encoded: "", ratio: 0, table: [], tree: null, animationSteps: [] };
+    // input: 文字列、または整数の記号配列 (options.symbolBits で1記号のビット数を指定)
+    encode: (input, options = {}) => {
+      if (!input || input.length === 0) return { encoded: "", ratio: 0, table: [], tree: null, animationSteps: [] };
+      const { symbols, symbolBits, originalBits } = toSymbols(input, options.symbolBits);
+      const unitName = symbolBits ? "記号" : "文字";
 
-      // 1. 頻度集計
-      const freq = {};
-      for (let char of text) {
-        freq[char] = (freq[char] || 0) + 1;
+      // 1. 頻度集計 (数値の記号も区別できるよう Map で数える)
+      const freq = new Map();
+      for (let char of symbols) {
+        freq.set(char, (freq.get(char) || 0) + 1);
       }
 
-      // 2. 優先度付きキュー
-      let queue = Object.keys(freq).map(char => ({ char, freq: freq[char], left: null, right: null }));
+      // 2. 優先度付きキュー（各節点には木の表示用にIDを振る）
+      let nextId = 0;
+      let queue = [...freq].map(([char, count]) => ({ id: nextId++, char, freq: count, left: null, right: null }));
       const initialFreqTable = [...queue].sort((a, b) => b.freq - a.freq);
 
+      // 節点に含まれる文字を並べたラベル（例: 内部節点なら "SP"、記号配列なら "3,5"）
+      const nodeLabel = (node) => node.char !== null ? String(node.char) : nodeLabel(node.left) + (symbolBits ? "," : "") + nodeLabel(node.right);
+      const byFreq = (a, b) => a.freq - b.freq;
+
+      // 木の構築過程（アニメーション用）
+      const buildSteps = [];
+      buildSteps.push({
+        index: -1,
+        length: 0,
+        phase: "build",
+        description: `出現回数を数え、${queue.length}種類の${unitName}をそれぞれ1つの節点（葉）として並べました。`,
+        forest: [...queue].sort(byFreq),
+        picked: [],
+        newNodeId: null,
+        outputChunk: "",
+        currentEncoded: ""
+      });
+
       // 3. ツリー構築
       while (queue.length > 1) {
-        queue.sort((a, b) => a.freq - b.freq);
+        queue.sort(byFreq);
         const left = queue.shift();
         const right = queue.shift();
         const newNode = {
+          id: nextId++,
           char: null,
           freq: left.freq + right.freq,
           left,
           right
         };
         queue.push(newNode);
+
+        buildSteps.push({
+          index: -1,
+          length: 0,
+          phase: "build",
+          description: `出現回数が最も少ない「${nodeLabel(left)}」(${left.freq}回) と「${nodeLabel(right)}」(${right.freq}回) を取り出し、\n合計 ${newNode.freq} 回の新しい節点の下にまとめます（左の枝=0, 右の枝=1）。`,
+          forest: [...queue].sort(byFreq),
+          picked: [left.id, right.id],
+          newNodeId: newNode.id,
+          outputChunk: "",
+          currentEncoded: ""
+        });
       }
       const root = queue[0];
 
       // 4. 符号割り当て
-      const codes = {};
+      const treeCodes = {};
       const generateCodes = (node, currentCode) => {
         if (!node) return;
         if (node.char !== null) {
-          codes[node.char] = currentCode;
+          treeCodes[node.char] = currentCode;
           return;
         }
         generateCodes(node.left, currentCode + "0");
@@ -117,21 +856,65 @@ const CompressionLogic = {
          generateCodes(root, "");
       }
 
+      // 4-2. 正規化ハフマン符号: 符号長はそのままに、短い順・記号順で符号を振り直す
+      const canonical = canonicalCodes([...freq.keys()].map(char => [char, treeCodes[char].length]));
+      const codes = {};
+      canonical.forEach(([char, code]) => { codes[char] = code; });
+
+      // 振り直した符号どおりの木（表示用。節点の重みは葉の出現回数の合計）
+      const canonicalRoot = { id: nextId++, char: null, freq: 0, left: null, right: null };
+      canonical.forEach(([char, code]) => {
+        let node = canonicalRoot;
+        Array.from(code).forEach((bit, k) => {
+          const side = bit === "0" ? "left" : "right";
+          if (k === code.length - 1) {
+            node[side] = { id: nextId++, char, freq: freq.get(char), left: null, right: null };
+          } else {
+            if (!node[side]) node[side] = { id: nextId++, char: null, freq: 0, left: null, right: null };
+            node = node[side];
+          }
+        });
+      });
+      const sumFreq = (node) => {
+        if (!node) return 0;
+        if (node.char === null) node.freq = sumFreq(node.left) + sumFreq(node.right);
+        return node.freq;
+      };
+      sumFreq(canonicalRoot);
+
       // 5. エンコードとアニメーションステップ作成
       let encoded = "";
       const animationSteps = [];
       
-      // ステップ0: 辞書構築完了
+      // 木の構築過程 → 完成した木から符号を読み取るステップ
+      animationSteps.push(...buildSteps);
+      animationSteps.push({
+        index: -1,
+        length: 0,
+        phase: "codes",
+        description: `木が完成しました。根から葉までたどった枝の0/1を並べたものが、その${unitName}の符号です（辞書作成）。`,
+        forest: [root],
+        picked: [],
+        newNodeId: null,
+        codes: { ...treeCodes },
+        outputChunk: "",
+        currentEncoded: ""
+      });
       animationSteps.push({
         index: -1,
         length: 0,
-        description: "頻度を分析し、各文字にビット列を割り当てました（辞書作成）。",
+        phase: "canonical",
+        description: `符号の長さはそのままに、短い順（同じ長さなら${unitName}の順）に 0 から連番で符号を振り直します（正規化ハフマン符号）。\nこうすると、ファイルには各${unitName}の「符号の長さ」だけを保存すれば、復元側で同じ符号を作り直せます。`,
+        forest: [canonicalRoot],
+        picked: [],
+        newNodeId: null,
+        codes: { ...codes },
         outputChunk: "",
         currentEncoded: ""
       });
 
-      for (let i = 0; i < text.length; i++) {
-        const char = text[i];
+      for (let i = 0; i < symbols.length; i++) {
+        const char = symbols[i];
         const code = codes[char];
         encoded += code;
 
@@ -146,17 +929,29 @@ const CompressionLogic = {
         });
       }
 
-      const originalBits = text.length * 8;
-      const encodedBits = encoded.length; 
-      const ratio = (encodedBits / originalBits) * 100;
-      const serializedMap = JSON.stringify(codes);
+      // ファイルへの書き出し: 記号のビット数 8bit + 符号表 [種類数 16bit] + 各記号 [記号, 符号長 8bit] → ビット列
+      const file = writeContainer("huffman", symbols.length, (writer) => {
+        writer.write(symbolBits, 8);
+        writeHuffmanTable(writer, canonical, symbolBits);
+      }, (writer) => writer.writeBitString(encoded));
+
+      const ratio = (file.fileBits / originalBits) * 100;
+      // 復元に必要な情報は [記号, 符号長] の並びだけ
+      const serializedMap = JSON.stringify(canonical.map(([char, code]) => [char, code.length]));
 
       return {
         encoded,
         ratio,
-        originalLength: originalBits, 
-        encodedLength: encodedBits, 
+        originalLength: originalBits,
+        encodedLength: file.fileBits,
+        ...file,
+        symbolBits,
+        tokens: Array.from(encoded, Number), // 次の段へ渡す出力記号列 (0/1)
         map: codes,
+        treeCodes, // 木から読み取った符号 (正規化する前)
+        tree: canonicalRoot,
+        buildTree: root,
+        tableBits: file.headerBits - CONTAINER_COMMON_BITS - 8, // 符号表の部分のビット数
         freqTable: initialFreqTable,
         serializedMap,
         animationSteps
@@ -164,27 +959,73 @@ const CompressionLogic = {
     },
 
     decode: (encodedText, codeMapJSON) => {
-      if (!encodedText || !codeMapJSON) return "復元には辞書情報が必要です。";
+      const res = CompressionLogic.huffman.decodeSteps(encodedText, codeMapJSON);
+      return res.error || res.decoded;
+    },
+
+    // 先頭からビットを1つずつ読み、辞書の符号と一致した時点で文字を確定する
+    decodeSteps: (encodedText, codeMapJSON) => {
+      if (!encodedText || !codeMapJSON) return { decoded: "", animationSteps: [], error: "復元には辞書情報が必要です。" };
+      let codeMap;
       try {
-        const codeMap = JSON.parse(codeMapJSON);
-        const reverseMap = {};
+        codeMap = JSON.parse(codeMapJSON);
+      } catch (e) {
+        return { decoded: "", animationSteps: [], error: "辞書データの解析に失敗しました。" };
+      }
+      // [["A",1],["B",2]] のような符号長の並びなら正規化ハフマン符号を作り直す。{"A":"0"} のような符号の対応表もそのまま使える
+      const reverseMap = {};
+      if (Array.isArray(codeMap)) {
+        if (codeMap.some(entry => !Array.isArray(entry) || !Number.isInteger(entry[1]) || entry[1] < 1)) {
+          return { decoded: "", animationSteps: [], error: "符号長の並びは [[\"A\",1],[\"B\",2]] の形式で入力してください。" };
+        }
+        canonicalCodes(codeMap).forEach(([char, code]) => { reverseMap[code] = char; });
+      } else {
         Object.keys(codeMap).forEach(char => {
           reverseMap[codeMap[char]] = char;
         });
+      }
 
-        let currentCode = "";
-        let decoded = "";
-        for (let char of encodedText) {
-          currentCode += char;
-          if (reverseMap[currentCode]) {
-            decoded += reverseMap[currentCode];
-            currentCode = "";
-          }
+      let currentCode = "";
+      let decoded = "";
+      const animationSteps = [];
+      for (let i = 0; i < encodedText.length; i++) {
+        currentCode += encodedText[i];
+        if (reverseMap[currentCode] !== undefined) {
+          const char = reverseMap[currentCode];
+          decoded += char;
+          animationSteps.push({
+            index: i - currentCode.length + 1,
+            length: currentCode.length,
+            description: `ビット列「${currentCode}」は辞書で「${char}」に対応します`,
+            outputChunk: char,
+            currentEncoded: decoded,
+            lookupChar: char,
+            lookupCode: currentCode
+          });
+          currentCode = "";
+        }
+      }
+
+      if (currentCode) {
+        return { decoded, animationSteps, error: `復元エラー: 末尾のビット列「${currentCode}」が辞書のどの符号とも一致しません` };
+      }
+      return { decoded, animationSteps };
+    },
+
+    decodeBinary: (reader, length) => {
+      const symbolBits = reader.read(8);
+      const reverseMap = readHuffmanTable(reader, symbolBits);
+
+      const decoded = [];
+      let currentCode = "";
+      while (decoded.length < length) {
+        currentCode += reader.readBit();
+        if (reverseMap[currentCode] !== undefined) {
+          decoded.push(reverseMap[currentCode]);
+          currentCode = "";
         }
-        return decoded;
-      } catch (e) {
-        return "辞書データの解析に失敗しました。";
       }
+      return symbolBits ? decoded : decoded.join("");
     },
 
     getDescription: () => ({
@@ -195,136 +1036,1917 @@ const CompressionLogic = {
   },
 
   // ==========================================
-  // LZW (Lempel-Ziv-Welch)
+  // 適応型ハフマン符号化 (Adaptive Huffman, FGK)
   // ==========================================
-  lzw: {
-    encode: (text) => {
-      if (!text) return { encoded: "", ratio: 0, steps: [], animationSteps: [] };
-
-      // 辞書初期化
-      const dict = {};
-      for (let i = 0; i < 256; i++) {
-        dict[String.fromCharCode(i)] = i;
-      }
+  adaptiveHuffman: {
+    // 出現回数を先に数えず、1記号ごとに「今の木で符号化 → 木を更新」を繰り返す (1回の読み取りで済む)
+    // 初めての記号は NYT の符号に続けて記号そのもの (文字は UTF-8, 記号配列は symbolBits ビット) を出力する
+    encode: (input, options = {}) => {
+      if (!input || input.length === 0) return { encoded: "", ratio: 0, animationSteps: [] };
+      const { symbols, symbolBits, originalBits } = toSymbols(input, options.symbolBits);
+      const unitName = symbolBits ? "記号" : "文字";
+      const tree = createAdaptiveHuffmanTree();
+      // options.recordSteps = false: 大きなファイル向けに、木の写し (1記号ごとに2つ) を持つステップを作らない
+      const recordSteps = options.recordSteps !== false;
+      const rawBits = (symbol) => symbolBits
+        ? symbol.toString(2).padStart(symbolBits, "0")
+        : Array.from(utf8Encode(symbol), b => b.toString(2).padStart(8, "0")).join("");
 
-      let w = "";
-      const result = [];
-      let dictSize = 256;
-      const steps = [];
+      let encoded = "";
       const animationSteps = [];
-
-      for (let i = 0; i < text.length; i++) {
-        const c = text[i];
-        const wc = w + c;
-        
-        if (dict.hasOwnProperty(wc)) {
-          // 辞書にある場合：現在のパターン w を拡張
-          const prevW = w;
-          w = wc;
-          animationSteps.push({
-            index: i,
-            length: 1,
-            description: `「${wc}」は辞書にあります。次の文字へ。`,
-            w: prevW, // 前の状態
-            nextW: wc, // 更新後の状態
-            outputChunk: null, // 出力なし
-            dictAdd: null
-          });
-        } else {
-          // 辞書にない場合：現在の w を出力し、wc を辞書登録
-          result.push(dict[w]);
-          const outputCode = dict[w];
-          
-          steps.push({ w, output: outputCode, add: wc, newCode: dictSize });
-          
-          animationSteps.push({
-            index: i,
-            length: 1,
-            description: `「${wc}」は辞書にありません。\n1. 「${w}」のコード(${outputCode})を出力\n2. 「${wc}」を辞書(No.${dictSize})に登録\n3. 次の検索開始文字を「${c}」に設定`,
-            w: w,
-            nextW: c,
-            outputChunk: outputCode + ",", // 表示用
-            currentEncoded: result.join(","),
-            dictAdd: { str: wc, code: dictSize },
-            isOutputStep: true
-          });
-
-          dict[wc] = dictSize++;
-          w = String(c);
+      symbols.forEach((symbol, i) => {
+        const known = tree.has(symbol);
+        const node = known ? tree.leaf(symbol) : tree.nyt();
+        const code = tree.codeOf(node);
+        const chunk = known ? code : code + rawBits(symbol);
+        encoded += chunk;
+        if (!recordSteps) {
+          tree.update(symbol);
+          return;
         }
-      }
-      
-      if (w !== "") {
-        result.push(dict[w]);
-        const outputCode = dict[w];
-        steps.push({ w, output: outputCode, add: "-", newCode: "-" });
         animationSteps.push({
-          index: text.length, // 終了後
-          length: 0,
-          description: `残っている「${w}」のコード(${outputCode})を出力して終了`,
-          w: w,
-          nextW: "",
-          outputChunk: outputCode,
-          currentEncoded: result.join(","),
-          dictAdd: null,
-          isOutputStep: true
+          index: i,
+          length: 1,
+          phase: "encode",
+          description: known
+            ? `「${symbol}」は今の木で符号「${code}」なので、それを出力します。`
+            : `「${symbol}」は初めて出てきた${unitName}です。NYT（未出現）の符号「${code || "(なし)"}」に続けて、\n${unitName}そのもの「${rawBits(symbol)}」を出力します。`,
+          outputChunk: chunk,
+          currentEncoded: encoded,
+          tree: tree.snapshot(),
+          pathIds: tree.pathOf(node),
+          lookupChar: symbol,
+          lookupCode: chunk
         });
-      }
 
-      const encodedStr = result.join(",");
-      const originalBits = text.length * 8;
-      const encodedBits = result.length * 12; 
-      const ratio = (encodedBits / originalBits) * 100;
+        const { swaps, touched, newLeafId } = tree.update(symbol);
+        animationSteps.push({
+          index: i,
+          length: 1,
+          phase: "update",
+          description: (known ? "" : `NYT を「新しい NYT」と「${symbol}」の葉に分けました。\n`) +
+            (swaps.length
+              ? `同じ重みの中で番号が最大の節点と ${swaps.length} 回入れ替えてから、`
+              : "") +
+            `「${symbol}」の葉から根まで、重みを1ずつ増やしました（符号化側と復元側で同じ更新をします）。`,
+          outputChunk: "",
+          currentEncoded: encoded,
+          tree: tree.snapshot(),
+          swapped: swaps.flat(),
+          touched,
+          newNodeId: newLeafId
+        });
+      });
 
-      return { 
-        encoded: encodedStr, 
-        ratio, 
-        steps, 
-        animationSteps,
-        originalLength: originalBits, 
-        encodedLength: encodedBits, 
-        isBits: true 
+      // ファイルへの書き出し: 記号のビット数 8bit → ビット列 (符号表は不要)
+      const file = writeContainer("adaptiveHuffman", symbols.length, (writer) => writer.write(symbolBits, 8), (writer) => writer.writeBitString(encoded));
+      const ratio = (file.fileBits / originalBits) * 100;
+      return {
+        encoded,
+        ratio,
+        originalLength: originalBits,
+        encodedLength: file.fileBits,
+        ...file,
+        symbolBits,
+        tree: tree.snapshot(),
+        tokens: Array.from(encoded, Number), // 次の段へ渡す出力記号列 (0/1)
+        animationSteps
       };
     },
 
+    // readBit: 次の1ビットを返す関数。木をたどって記号を1つ読むたびに、符号化側と同じ更新をする
+    decodeWith: (readBit, readRaw, length, onSymbol) => {
+      const tree = createAdaptiveHuffmanTree();
+      const decoded = [];
+      while (decoded.length < length) {
+        let node = tree.root;
+        while (!tree.isLeaf(node)) node = readBit() === 0 ? node.left : node.right;
+        const isNew = node.nyt;
+        const symbol = isNew ? readRaw() : node.char;
+        decoded.push(symbol);
+        const update = tree.update(symbol);
+        if (onSymbol) onSymbol(symbol, isNew, update, tree);
+      }
+      return decoded;
+    },
+
     decode: (text) => {
-      if (!text) return "";
-      const compressed = text.split(",").map(Number);
-      if (compressed.some(isNaN)) return "形式エラー: カンマ区切りの数値（例: 65,66,256）を入力してください";
+      const res = CompressionLogic.adaptiveHuffman.decodeSteps(text);
+      return res.error || res.decoded;
+    },
 
-      const dict = {};
-      for (let i = 0; i < 256; i++) {
-        dict[i] = String.fromCharCode(i);
+    // 文字列を圧縮したビット列を復元する（符号表なしで、木を育てながら読む）
+    decodeSteps: (text) => {
+      if (!text) return { decoded: "", animationSteps: [] };
+      if (/[^01]/.test(text)) {
+        return { decoded: "", animationSteps: [], error: "形式エラー: 0 と 1 だけのビット列を入力してください" };
       }
+      let pos = 0;
+      const readBit = () => {
+        if (pos >= text.length) throw new Error("ビット列が途中で終わっています");
+        return Number(text[pos++]);
+      };
+      const readByte = () => {
+        let byte = 0;
+        for (let b = 0; b < 8; b++) byte = byte * 2 + readBit();
+        return byte;
+      };
+      const readRaw = () => {
+        const first = readByte();
+        const extra = first >= 0xf0 ? 3 : first >= 0xe0 ? 2 : first >= 0xc0 ? 1 : 0;
+        const bytes = [first];
+        for (let k = 0; k < extra; k++) bytes.push(readByte());
+        return utf8Decode(Uint8Array.from(bytes));
+      };
 
-      let w = String.fromCharCode(compressed[0]);
-      let result = w;
-      let dictSize = 256;
-
-      for (let i = 1; i < compressed.length; i++) {
+      const animationSteps = [];
+      let start = 0;
+      let decodedText = "";
+      try {
+        // 長さが分からないので、ビット列を読み切るまで続ける
+        CompressionLogic.adaptiveHuffman.decodeWith(readBit, readRaw, Infinity, (symbol, isNew, { swaps, newLeafId }, tree) => {
+          decodedText += symbol;
+          animationSteps.push({
+            index: start,
+            length: pos - start,
+            phase: "update",
+            description: isNew
+              ? `NYT の符号にたどり着いたので、続く ${pos - start} ビットまでを読んで新しい文字「${symbol}」を取り出し、木に追加します。`
+              : `木を根からたどり、葉「${symbol}」にたどり着きました。` + (swaps.length ? `\n木を更新（入れ替え ${swaps.length} 回）します。` : "\n木を更新します。"),
+            outputChunk: symbol,
+            currentEncoded: decodedText,
+            tree: tree.snapshot(),
+            swapped: swaps.flat(),
+            newNodeId: newLeafId
+          });
+          start = pos;
+          if (pos >= text.length) throw new RangeError("end");
+        });
+      } catch (e) {
+        if (!(e instanceof RangeError)) {
+          return { decoded: decodedText, animationSteps, error: `復元エラー: ${e.message}（${pos} ビット目）` };
+        }
+      }
+      return { decoded: decodedText, animationSteps };
+    },
+
+    decodeBinary: (reader, length) => {
+      const symbolBits = reader.read(8);
+      const decoded = CompressionLogic.adaptiveHuffman.decodeWith(
+        () => reader.readBit(),
+        () => readSymbol(reader, symbolBits),
+        length
+      );
+      return symbolBits ? decoded : decoded.join("");
+    },
+
+    getDescription: () => ({
+      summary: "出現回数を先に数えず、1文字処理するごとにハフマン木を作り直していく方式（FGK法）。復元側も同じ手順で木を育てる。",
+      pros: "データを1回読むだけで符号化でき、符号表（辞書）を保存・送信する必要がない。LZW と同じく、辞書を両側で同時に育てる考え方。",
+      cons: "最初のうちは木が育っておらず符号が長くなる。初めて出る文字はそのまま（8ビット以上）送るため、短いデータでは通常のハフマン符号より大きくなることがある。"
+    })
+  },
+
+  // ==========================================
+  // 算術符号化 (Arithmetic Coding)
+  // ==========================================
+  arithmetic: {
+    // 0〜1 の区間を記号の出現確率に応じて狭めていき、最後の区間の中を指す2進小数をビット列として出力する
+    // options.model: "fixed"（先に全体を数えた確率）/ "adaptive"（処理しながら数え直す確率）
+    encode: (input, options = {}) => {
+      if (!input || input.length === 0) return { encoded: "", ratio: 0, animationSteps: [] };
+      const { symbols, symbolBits, originalBits } = toSymbols(input, options.symbolBits);
+      const adaptive = options.model === "adaptive";
+      const unitName = symbolBits ? "記号" : "文字";
+      // options.recordSteps = false: 大きなファイル向けに、区間の分け方 (記号の種類ぶん) を持つステップを作らない
+      const recordSteps = options.recordSteps !== false;
+
+      const freq = new Map();
+      symbols.forEach(symbol => freq.set(symbol, (freq.get(symbol) || 0) + 1));
+      const entries = [...freq];
+      const model = createArithmeticModel(entries, adaptive);
+      const fmt = (v) => v.toFixed(4);
+
+      let low = 0;
+      let high = ARITH_FULL - 1;
+      let pending = 0; // 中央付近にまたがったまま、まだ決まらないビットの数
+      let encoded = "";
+      let idealBits = 0; // 確率から決まる理想的なビット数 (−log2 p の合計)
+      const animationSteps = [];
+
+      // 確定したビットと、保留していた反対のビットをまとめて出力する
+      const emit = (bit) => {
+        const chunk = bit + (bit === "0" ? "1" : "0").repeat(pending);
+        pending = 0;
+        encoded += chunk;
+        return chunk;
+      };
+
+      symbols.forEach((symbol, i) => {
+        const before = { low: low / ARITH_FULL, high: (high + 1) / ARITH_FULL };
+        const segments = recordSteps ? arithmeticSegments(model, low, high) : null;
+        const { low: cumLow, high: cumHigh, total } = model.range(symbol);
+        const p = (cumHigh - cumLow) / total;
+        idealBits += -Math.log2(p);
+
+        // 区間を記号の小区間に狭める
+        const range = high - low + 1;
+        high = low + floorDiv(range * cumHigh, total) - 1;
+        low = low + floorDiv(range * cumLow, total);
+        const narrowed = { low: low / ARITH_FULL, high: (high + 1) / ARITH_FULL };
+
+        // 区間が上半分・下半分に収まったらそのビットを確定し、区間を2倍に広げる
+        let chunk = "";
+        const notes = [];
+        for (;;) {
+          if (high < ARITH_HALF) {
+            chunk += emit("0");
+          } else if (low >= ARITH_HALF) {
+            chunk += emit("1");
+            low -= ARITH_HALF;
+            high -= ARITH_HALF;
+          } else if (low >= ARITH_QUARTER && high < 3 * ARITH_QUARTER) {
+            // 中央 (0.25〜0.75) にまたがる場合は、次にどちらへ寄るかが決まるまでビットを保留する
+            pending++;
+            low -= ARITH_QUARTER;
+            high -= ARITH_QUARTER;
+            notes.push("保留");
+          } else {
+            break;
+          }
+          low = low * 2;
+          high = high * 2 + 1;
+        }
+        model.update(symbol);
+        if (!recordSteps) return;
+
+        animationSteps.push({
+          index: i,
+          length: 1,
+          description: `「${symbol}」の確率は ${(p * 100).toFixed(1)}% なので、区間 [${fmt(before.low)}, ${fmt(before.high)}) のうち\n「${symbol}」の部分 [${fmt(narrowed.low)}, ${fmt(narrowed.high)}) に狭めます。` +
+            (chunk ? `\n区間の位置から先頭のビット「${chunk}」が確定したので出力し、区間を拡大します。` : "") +
+            (notes.length ? `\n区間が中央にまたがっているため、${notes.length}ビット分の出力を保留します。` : "") +
+            (adaptive ? `\n（適応型: 「${symbol}」の回数を1増やします）` : ""),
+          outputChunk: chunk,
+          currentEncoded: encoded,
+          interval: before,
+          segments,
+          picked: symbol,
+          narrowed,
+          zoomed: { low: low / ARITH_FULL, high: (high + 1) / ARITH_FULL },
+          pending,
+          idealBits
+        });
+      });
+
+      // 終了処理: 最後の区間の中に必ず入る2進小数になるよう、あと1ビット (+保留分) を出力する
+      pending++;
+      const finalChunk = emit(low < ARITH_QUARTER ? "0" : "1");
+      animationSteps.push({
+        index: symbols.length,
+        length: 0,
+        description: `すべての${unitName}を処理しました。最後の区間の内側を指すように「${finalChunk}」を出力して終了します。\n出力 ${encoded.length} ビット（理想値 ${idealBits.toFixed(2)} ビット）`,
+        outputChunk: finalChunk,
+        currentEncoded: encoded,
+        idealBits
+      });
+
+      // ファイルへの書き出し: 記号のビット数 8bit + モデル 8bit (0=固定, 1=適応) + 記号の一覧 [種類数 16bit, 記号...]
+      // 固定モデルでは続けて回数のビット数 8bit と各記号の回数
+      const countBits = bitsFor(Math.max(...freq.values()));
+      const file = writeContainer("arithmetic", symbols.length, (writer) => {
+        writer.write(symbolBits, 8);
+        writer.write(adaptive ? 1 : 0, 8);
+        writer.write(entries.length, 16);
+        entries.forEach(([symbol]) => writeSymbol(writer, symbol, symbolBits));
+        if (!adaptive) {
+          writer.write(countBits, 8);
+          entries.forEach(([, count]) => writer.write(count, countBits));
+        }
+      }, (writer) => writer.writeBitString(encoded));
+
+      const ratio = (file.fileBits / originalBits) * 100;
+      return {
+        encoded,
+        ratio,
+        originalLength: originalBits,
+        encodedLength: file.fileBits,
+        ...file,
+        symbolBits,
+        model: adaptive ? "adaptive" : "fixed",
+        idealBits,
+        tokens: Array.from(encoded, Number), // 次の段へ渡す出力記号列 (0/1)
+        // 復元に必要な情報: 記号の数・モデル・記号と回数
+        serializedMap: JSON.stringify({ length: symbols.length, model: adaptive ? "adaptive" : "fixed", symbols: entries }),
+        animationSteps
+      };
+    },
+
+    decode: (encodedText, modelJSON) => {
+      const res = CompressionLogic.arithmetic.decodeSteps(encodedText, modelJSON);
+      return res.error || res.decoded;
+    },
+
+    // ビット列を 0〜1 の2進小数として読み、それがどの記号の小区間に入るかを順に調べる
+    decodeSteps: (encodedText, modelJSON) => {
+      if (!encodedText || !modelJSON) return { decoded: "", animationSteps: [], error: "復元には確率モデルの情報が必要です。" };
+      let info;
+      try {
+        info = JSON.parse(modelJSON);
+      } catch (e) {
+        return { decoded: "", animationSteps: [], error: "確率モデルの解析に失敗しました。" };
+      }
+      if (!Array.isArray(info.symbols) || !Number.isInteger(info.length)) {
+        return { decoded: "", animationSteps: [], error: "確率モデルには length と symbols が必要です。" };
+      }
+      if (/[^01]/.test(encodedText)) {
+        return { decoded: "", animationSteps: [], error: "形式エラー: 0 と 1 だけのビット列を入力してください" };
+      }
+      const adaptive = info.model === "adaptive";
+      if (!adaptive && info.symbols.reduce((sum, [, count]) => sum + count, 0) !== info.length) {
+        return { decoded: "", animationSteps: [], error: "確率モデルの各文字の回数の合計が length と一致しません。" };
+      }
+      let pos = 0;
+      // 末尾より先は0が続くものとして読む (正しいデータなら ARITH_BITS ビットを越えて読むことはない)
+      const readBit = () => {
+        if (pos >= encodedText.length + ARITH_BITS) throw new Error("データが途中で終わっています");
+        return pos < encodedText.length ? Number(encodedText[pos++]) : (pos++, 0);
+      };
+      let decoded;
+      let steps;
+      try {
+        ({ decoded, steps } = CompressionLogic.arithmetic.decodeWith(readBit, () => pos, info.length, createArithmeticModel(info.symbols, adaptive)));
+      } catch (e) {
+        return { decoded: "", animationSteps: [], error: `復元エラー: ${e.message}` };
+      }
+      const animationSteps = steps.map(step => ({
+        ...step,
+        // 可視化はこの記号を決めるまでに読んだビットの範囲
+        index: Math.min(step.bitStart, encodedText.length),
+        length: Math.max(0, Math.min(step.bitEnd, encodedText.length) - Math.min(step.bitStart, encodedText.length))
+      }));
+      return { decoded: decoded.join(""), animationSteps };
+    },
+
+    // readBit: 次の1ビットを返す関数, position: 読んだビット数を返す関数
+    // recordSteps = false のときは記号だけを返す (ファイルからの復元用。大きなファイルでもメモリを使いすぎない)
+    decodeWith: (readBit, position, length, model, recordSteps = true) => {
+      let low = 0;
+      let high = ARITH_FULL - 1;
+      let value = 0;
+      for (let b = 0; b < ARITH_BITS; b++) value = value * 2 + readBit();
+
+      const decoded = [];
+      let decodedText = "";
+      const steps = [];
+      const fmt = (v) => v.toFixed(4);
+      let bitStart = 0;
+      while (decoded.length < length) {
+        const before = { low: low / ARITH_FULL, high: (high + 1) / ARITH_FULL };
+        const segments = recordSteps ? arithmeticSegments(model, low, high) : null;
+        const range = high - low + 1;
+        const total = model.total();
+        const scaled = floorDiv((value - low + 1) * total - 1, range);
+        const symbol = model.find(scaled);
+        const { low: cumLow, high: cumHigh } = model.range(symbol);
+        high = low + floorDiv(range * cumHigh, total) - 1;
+        low = low + floorDiv(range * cumLow, total);
+        const point = value / ARITH_FULL;
+        const narrowed = { low: low / ARITH_FULL, high: (high + 1) / ARITH_FULL };
+
+        for (;;) {
+          if (high < ARITH_HALF) {
+            // そのまま拡大
+          } else if (low >= ARITH_HALF) {
+            low -= ARITH_HALF;
+            high -= ARITH_HALF;
+            value -= ARITH_HALF;
+          } else if (low >= ARITH_QUARTER && high < 3 * ARITH_QUARTER) {
+            low -= ARITH_QUARTER;
+            high -= ARITH_QUARTER;
+            value -= ARITH_QUARTER;
+          } else {
+            break;
+          }
+          low = low * 2;
+          high = high * 2 + 1;
+          value = value * 2 + readBit();
+        }
+        model.update(symbol);
+        decoded.push(symbol);
+        if (!recordSteps) continue;
+        decodedText += symbol;
+
+        const bitEnd = Math.max(position() - ARITH_BITS, bitStart + 1);
+        steps.push({
+          bitStart,
+          bitEnd,
+          description: `読み取った値 ${fmt(point)} は区間 [${fmt(before.low)}, ${fmt(before.high)}) のうち\n「${symbol}」の部分 [${fmt(narrowed.low)}, ${fmt(narrowed.high)}) に入っています → 「${symbol}」`,
+          outputChunk: String(symbol),
+          currentEncoded: decodedText,
+          interval: before,
+          segments,
+          picked: symbol,
+          narrowed,
+          point
+        });
+        bitStart = bitEnd;
+      }
+      return { decoded, steps };
+    },
+
+    decodeBinary: (reader, length) => {
+      const symbolBits = reader.read(8);
+      const adaptive = reader.read(8) === 1;
+      const entryCount = reader.read(16);
+      const symbols = [];
+      for (let k = 0; k < entryCount; k++) symbols.push(readSymbol(reader, symbolBits));
+      let counts = symbols.map(() => 1);
+      if (!adaptive) {
+        const countBits = reader.read(8);
+        counts = symbols.map(() => reader.read(countBits));
+      }
+      // 固定モデルの回数は元の記号の回数なので、合計は元の長さになる (長さが壊れたファイルを読み続けないように)
+      if (!adaptive && counts.reduce((sum, c) => sum + c, 0) !== length) throw new Error("記号の回数の合計が元の長さと一致しません");
+      const model = createArithmeticModel(symbols.map((symbol, k) => [symbol, counts[k]]), adaptive);
+      // データ本体の末尾より先は0が続くものとして読む
+      // 正しいデータなら ARITH_BITS ビットを越えて読むことはないので、越えたら長さが壊れている
+      let padding = 0;
+      const readBit = () => {
+        if (reader.remaining() > 0) return reader.readBit();
+        if (++padding > ARITH_BITS) throw new Error("データが途中で終わっています");
+        return 0;
+      };
+      const { decoded } = CompressionLogic.arithmetic.decodeWith(readBit, () => 0, length, model, false);
+      return symbolBits ? decoded : decoded.join("");
+    },
+
+    getDescription: () => ({
+      summary: "データ全体を0〜1の間の1つの小数で表す方式。記号ごとに区間を確率の大きさに応じて狭めていき、最後の区間を指す2進小数を出力する。",
+      pros: "1記号あたり整数ビットという制約がないため、ハフマン符号より理論上の限界（エントロピー）に近づける。確率が極端に偏ったデータで差が大きい。",
+      cons: "計算が複雑で処理が遅い。区間を有限の桁で扱うための工夫（ビットの確定・保留）が必要になる。"
+    })
+  },
+
+  // ==========================================
+  // LZW (Lempel-Ziv-Welch)
+  // ==========================================
+  lzw: {
+    // input: 文字列、または整数の記号配列 (options.symbolBits で1記号のビット数を指定)
+    encode: (input, options = {}) => {
+      if (!input || input.length === 0) return { encoded: "", ratio: 0, steps: [], animationSteps: [] };
+
+      // 文字列は UTF-8 のバイト単位で処理する（日本語は1文字が3バイト程度になる）
+      // 記号配列は 2^symbolBits 種類の記号で初期辞書を作る (GIFと同じ考え方)
+      // 辞書のキーは1記号を1文字 (U+0000〜) とみなした文字列 (16bit を超える記号は2文字)
+      const isText = typeof input === "string";
+      const bytes = isText ? utf8Encode(input) : null;
+      const { symbols, symbolBits, originalBits } = isText
+        ? { symbols: Array.from(bytes), symbolBits: 0, originalBits: bytes.length * 8 }
+        : toSymbols(input, options.symbolBits);
+      const alphabetSize = 2 ** (symbolBits || 8);
+      const unit = lzwKeyUnit(symbolBits);
+      const data = symbols.map(v => lzwKeyChar(v, unit));
+      const show = isText ? showBytes : (symbolStr) => showSymbols(symbolStr, unit);
+
+      const layout = lzwCodeLayout(symbolBits, options.maxDictSize);
+      const { clearCode, firstCode, maxDictSize } = layout;
+
+      // 辞書初期化 (クリアコードの次から登録していく)
+      let dict;
+      let dictSize;
+      // 記号の種類が多いとき (16bit など) でも速く引けるよう Map を使う
+      const resetDict = () => {
+        dict = new Map();
+        for (let i = 0; i < alphabetSize; i++) {
+          dict.set(lzwKeyChar(i, unit), i);
+        }
+        dictSize = firstCode;
+      };
+      resetDict();
+
+      let w = "";
+      const result = [];
+      const codeWidths = []; // 各コードを実際に書き出した幅
+      let sinceClear = 0; // クリアしてから書いたコードの数 (コード幅はこの数で決まる)
+      let resets = 0;
+      const steps = [];
+      const animationSteps = [];
+
+      // 表示用の出力 ("65,66,257,") と書いたビット数は、大きな入力でも遅くならないよう足していく
+      let encodedText = "";
+      let totalCodeBits = 0;
+      // コードを1つ書き出し、その幅と幅が広がったかどうかを返す
+      const emit = (code) => {
+        const width = layout.widthFor(sinceClear++);
+        const prevWidth = codeWidths.length > 0 ? codeWidths[codeWidths.length - 1] : width;
+        result.push(code);
+        codeWidths.push(width);
+        encodedText += code + ",";
+        totalCodeBits += width;
+        return { width, widthChange: width > prevWidth ? { from: prevWidth, to: width } : null };
+      };
+      const bitCost = () => totalCodeBits;
+
+      for (let i = 0; i < data.length; i++) {
+        const c = data[i];
+        const wc = w + c;
+        
+        if (dict.has(wc)) {
+          // 辞書にある場合：現在のパターン w を拡張
+          const prevW = w;
+          w = wc;
+          animationSteps.push({
+            index: i,
+            length: 1,
+            patternStart: i - prevW.length / unit, // 現在のパターンが始まった位置
+            description: `「${show(wc)}」は辞書にあります。次の文字へ。`,
+            w: show(prevW), // 前の状態
+            nextW: show(wc), // 更新後の状態
+            outputChunk: null, // 出力なし
+            dictAdd: null,
+            match: show(wc), // 辞書で見つかった並び
+            codeWidth: layout.widthFor(sinceClear), // 次に書くコードの幅
+            dictSize,
+            maxDictSize
+          });
+        } else {
+          // 辞書にない場合：現在の w を出力し、wc を辞書登録
+          const outputCode = dict.get(w);
+          const { width, widthChange } = emit(outputCode);
+          const addedCode = dictSize;
+          dict.set(wc, dictSize++);
+
+          steps.push({ w: show(w), output: outputCode, add: show(wc), newCode: addedCode, width });
+
+          let description = `「${show(wc)}」は辞書にありません。\n1. 「${show(w)}」のコード(${outputCode})を ${width}bit で出力\n2. 「${show(wc)}」を辞書(No.${addedCode})に登録\n3. 次の検索開始文字を「${show(c)}」に設定`;
+          if (widthChange) description += `\n※ 辞書が育ったので、コード幅が ${widthChange.from}bit → ${widthChange.to}bit に広がりました`;
+          let outputChunk = outputCode + ",";
+
+          // 辞書が上限に達したら、クリアコードを書いて辞書を初期状態に戻す
+          const reset = dictSize >= maxDictSize;
+          if (reset) {
+            const clear = emit(clearCode);
+            steps.push({ w: "-", output: clearCode, add: "(クリア)", newCode: "-", width: clear.width });
+            description += `\n※ 辞書が上限(${maxDictSize}個)に達したため、クリアコード(${clearCode})を ${clear.width}bit で出力して辞書を初期状態に戻します`;
+            outputChunk += clearCode + ",";
+            resetDict();
+            sinceClear = 0;
+            resets++;
+          }
+
+          animationSteps.push({
+            index: i,
+            length: 1,
+            patternStart: i - w.length / unit,
+            description,
+            w: show(w),
+            nextW: show(c),
+            outputChunk, // 表示用
+            currentEncoded: encodedText,
+            dictAdd: { str: show(wc), code: addedCode },
+            match: show(w), // 辞書で見つかった最長の並び (これのコードを出力する)
+            isOutputStep: true,
+            codeWidth: width,
+            widthChange,
+            reset,
+            dictSize: reset ? maxDictSize : dictSize,
+            maxDictSize,
+            bitCost: bitCost()
+          });
+
+          w = String(c);
+        }
+      }
+      
+      if (w !== "") {
+        const outputCode = dict.get(w);
+        const { width, widthChange } = emit(outputCode);
+        steps.push({ w: show(w), output: outputCode, add: "-", newCode: "-", width });
+        animationSteps.push({
+          index: data.length, // 終了後
+          length: 0,
+          patternStart: data.length - w.length / unit,
+          description: `残っている「${show(w)}」のコード(${outputCode})を ${width}bit で出力して終了`,
+          w: show(w),
+          nextW: "",
+          outputChunk: outputCode,
+          currentEncoded: encodedText.slice(0, -1),
+          dictAdd: null,
+          match: show(w),
+          isOutputStep: true,
+          codeWidth: width,
+          widthChange,
+          dictSize,
+          maxDictSize,
+          bitCost: bitCost()
+        });
+      }
+
+      // ファイルへの書き出し: 各コードをそのときのコード幅で並べる（復元側も同じ数え方で幅を決める）
+      const file = writeContainer("lzw", symbols.length, (writer) => {
+        writer.write(symbolBits, 8);
+        writer.write(maxDictSize, 32);
+      }, (writer) => {
+        result.forEach((code, k) => writer.write(code, codeWidths[k]));
+      });
+
+      const encodedStr = result.join(",");
+      const ratio = (file.fileBits / originalBits) * 100;
+
+      return { 
+        encoded: encodedStr, 
+        ratio, 
+        steps, 
+        animationSteps,
+        units: isText ? Array.from(bytes, byteLabel) : symbols.map(String), // 可視化はバイト（記号）単位
+        tokens: result, // 次の段へ渡す出力記号列
+        originalLength: originalBits, 
+        encodedLength: file.fileBits,
+        codeWidths,
+        codeBits: bitCost(), // コード幅の合計 (データ本体の端数ビットを除いた大きさ)
+        startWidth: codeWidths[0],
+        codeWidth: codeWidths.reduce((max, width) => Math.max(max, width), 0), // 最終的に広がった最大の幅
+        maxDictSize,
+        clearCode,
+        resets,
+        symbolBits,
+        ...file,
+        isBits: true 
+      };
+    },
+
+    decode: (text) => {
+      const res = CompressionLogic.lzw.decodeSteps(text);
+      return res.error || res.decoded;
+    },
+
+    decodeSteps: (text) => {
+      if (!text) return { decoded: "", animationSteps: [] };
+      const compressed = text.split(",").map(Number);
+      if (compressed.some(isNaN)) {
+        return { decoded: "", animationSteps: [], error: "形式エラー: カンマ区切りの数値（例: 65,66,257）を入力してください" };
+      }
+      return CompressionLogic.lzw.decodeCodes(compressed);
+    },
+
+    decodeBinary: (reader, length) => {
+      const symbolBits = reader.read(8);
+      const layout = lzwCodeLayout(symbolBits, reader.read(32));
+      const { clearCode, firstCode } = layout;
+      // コード幅は読んだコードの数で決まるので1つずつ読む
+      // 末尾の余りビットをコードと取り違えないよう、各登録の長さを数えて元の長さに届いたら止める
+      const codes = [];
+      let entryLengths = []; // 登録した並びの長さ (firstCode からの順)
+      let prevLength = 0;
+      let total = 0;
+      let sinceClear = 0;
+      while (total < length) {
+        const code = reader.read(layout.widthFor(sinceClear++));
+        codes.push(code);
+        if (code === clearCode) {
+          entryLengths = [];
+          prevLength = 0;
+          sinceClear = 0;
+          continue;
+        }
+        if (prevLength > 0) entryLengths.push(prevLength + 1);
+        const entryLength = code < clearCode ? 1 : entryLengths[code - firstCode];
+        if (!entryLength) throw new Error("復元エラー: 無効な辞書コードが含まれています");
+        total += entryLength;
+        prevLength = entryLength;
+      }
+      const res = CompressionLogic.lzw.decodeCodes(codes, symbolBits);
+      if (res.error) throw new Error(res.error);
+      return symbolBits ? res.symbols : utf8Decode(res.bytes);
+    },
+
+    // コード列を復元する。units は可視化で1コードずつハイライトするための表示単位
+    // 辞書の中身はバイト列（1バイト=1文字の文字列）で、最後に UTF-8 として文字に戻す
+    // symbolBits を指定した場合は記号配列として復元する
+    decodeCodes: (compressed, symbolBits = 0) => {
+      const units = compressed.map(String);
+      const alphabetSize = 2 ** (symbolBits || 8);
+      const { clearCode, firstCode } = lzwCodeLayout(symbolBits);
+      const unit = lzwKeyUnit(symbolBits);
+      const show = symbolBits ? (symbolStr) => showSymbols(symbolStr, unit) : showBytes;
+      let dict;
+      let dictSize;
+      const resetDict = () => {
+        dict = {};
+        for (let i = 0; i < alphabetSize; i++) {
+          dict[i] = lzwKeyChar(i, unit);
+        }
+        dictSize = firstCode;
+      };
+      resetDict();
+
+      let w = null; // 直前に出力した並び (最初とクリア直後は null)
+      let result = "";
+      let shown = ""; // 表示用に出力を積み上げたもの
+      const animationSteps = [];
+      const finish = (byteStr, extra = {}) => {
+        const symbols = lzwKeySymbols(byteStr, unit);
+        const bytes = symbolBits ? null : Uint8Array.from(symbols);
+        const decoded = symbolBits ? symbols : utf8Decode(bytes);
+        return { decoded, symbols, bytes, animationSteps, units, ...extra };
+      };
+
+      for (let i = 0; i < compressed.length; i++) {
         const k = compressed[i];
+
+        if (k === clearCode) {
+          resetDict();
+          w = null;
+          animationSteps.push({
+            index: i,
+            length: 1,
+            description: `コード(${k})はクリアコードです。辞書を初期状態に戻し、次のコードを最初のコードとして読みます。`,
+            w: "",
+            nextW: "",
+            outputChunk: "",
+            currentEncoded: shown,
+            dictAdd: null,
+            reset: true
+          });
+          continue;
+        }
+
+        if (w === null) {
+          if (!dict.hasOwnProperty(k)) {
+            return finish(result, { error: `復元エラー: 最初 (およびクリアの直後) のコードは初期辞書 (0〜${alphabetSize - 1}) の番号である必要があります` });
+          }
+          w = dict[k];
+          result += w;
+          shown += show(w);
+          animationSteps.push({
+            index: i,
+            length: 1,
+            description: `${i === 0 ? "最初" : "クリア直後"}のコード(${k})は初期辞書の「${show(w)}」です。そのまま出力します。`,
+            w: "",
+            nextW: show(w),
+            outputChunk: show(w),
+            currentEncoded: shown,
+            dictAdd: null
+          });
+          continue;
+        }
+
         let entry;
+        let note;
         if (dict.hasOwnProperty(k)) {
           entry = dict[k];
+          note = `コード(${k})は辞書の「${show(entry)}」です。`;
         } else if (k === dictSize) {
-          entry = w + w.charAt(0);
+          // 登録直前のコードが届いた特殊ケース (w + wの先頭の記号)
+          entry = w + w.slice(0, unit);
+          note = `コード(${k})はまだ辞書にありません。直前の「${show(w)}」+ 先頭「${show(w.slice(0, unit))}」=「${show(entry)}」と分かります。`;
         } else {
-          return "復元エラー: 無効な辞書コードが含まれています";
+          return finish(result, { error: "復元エラー: 無効な辞書コードが含まれています" });
         }
 
         result += entry;
-        dict[dictSize++] = w + entry.charAt(0);
+        shown += show(entry);
+        const added = w + entry.slice(0, unit);
+        animationSteps.push({
+          index: i,
+          length: 1,
+          description: `${note}\n1. 「${show(entry)}」を出力\n2. 直前の「${show(w)}」+「${show(entry.slice(0, unit))}」=「${show(added)}」を辞書(No.${dictSize})に登録`,
+          w: show(w),
+          nextW: show(entry),
+          outputChunk: show(entry),
+          currentEncoded: shown,
+          dictAdd: { str: show(added), code: dictSize },
+          match: show(entry),
+          isOutputStep: true
+        });
+        dict[dictSize++] = added;
         w = entry;
       }
-      return result;
+      return finish(result);
     },
 
     getDescription: () => ({
       summary: "辞書（データベース）を作りながらデータを符号化する方式。事前に辞書を共有する必要がない。",
-      pros: "データのパターンを学習しながら圧縮するため、繰り返しパターンの多い長文データに強い。GIFやTIFFで利用。",
+      pros: "データのパターンを学習しながら圧縮するため、繰り返しパターンの多い長文データに強い。GIFやTIFFで利用。コード幅は辞書の大きさに合わせて広がり、辞書が上限に達したらクリアコードで作り直す。",
       cons: "データ初期段階では辞書が未熟なため圧縮効果が薄い。特許問題（現在は失効）で歴史的な議論があった。"
     })
+  },
+
+  // ==========================================
+  // LZ77 (スライド窓圧縮 / Sliding Window)
+  // ==========================================
+  lz77: {
+    // input: 文字列、または整数の記号配列 (options.symbolBits で1記号のビット数を指定)
+    // options.windowSize: さかのぼって探す範囲（探索窓）, options.maxLength: 一度にコピーできる最大の長さ
+    encode: (input, options = {}) => {
+      if (!input || input.length === 0) return { encoded: "", ratio: 0, steps: [], animationSteps: [] };
+      const { symbols, symbolBits, originalBits } = toSymbols(input, options.symbolBits);
+      const joinSymbols = (list) => list.join(symbolBits ? "," : "");
+      const windowSize = options.windowSize || 255;
+      const maxLength = options.maxLength || 15;
+
+      let encoded = "";
+      const steps = [];
+      const animationSteps = [];
+      let i = 0;
+
+      while (i < symbols.length) {
+        const windowStart = Math.max(0, i - windowSize);
+        let bestLength = 0;
+        let bestStart = -1;
+
+        // 探索窓の中から、先読みバッファの先頭と最も長く一致する位置を探す
+        // (次の1文字は必ず「次の文字」として出力するので、一致は末尾の1文字手前まで)
+        for (let j = windowStart; j < i; j++) {
+          let len = 0;
+          while (len < maxLength && i + len < symbols.length - 1 && symbols[j + len] === symbols[i + len]) {
+            len++;
+          }
+          // 同じ長さなら近い方（オフセットが小さい方）を選ぶ
+          if (len > 0 && len >= bestLength) {
+            bestLength = len;
+            bestStart = j;
+          }
+        }
+
+        const offset = bestLength > 0 ? i - bestStart : 0;
+        const next = symbols[i + bestLength];
+        const segment = `(${offset},${bestLength},${next})`;
+        encoded += segment;
+        steps.push({ offset, length: bestLength, next, output: segment });
+
+        animationSteps.push({
+          index: i,
+          length: bestLength + 1,
+          refIndex: bestLength > 0 ? bestStart : -1,
+          refLength: bestLength,
+          description: bestLength > 0
+            ? `探索窓の ${offset} 文字前から「${joinSymbols(symbols.slice(bestStart, bestStart + bestLength))}」(${bestLength}文字) が一致しました。\n→ (オフセット ${offset}, 長さ ${bestLength}, 次の文字「${next}」) を出力`
+            : `探索窓に「${next}」で始まる一致はありません。\n→ (0, 0, 次の文字「${next}」) をそのまま出力`,
+          window: symbols.slice(windowStart, i),
+          lookahead: symbols.slice(i, i + maxLength + 1),
+          match: { offset, length: bestLength, next, start: bestStart - windowStart },
+          outputChunk: segment,
+          currentEncoded: encoded
+        });
+
+        i += bestLength + 1;
+      }
+
+      // ファイルへの書き出し: 1組につき [オフセット][長さ][次の文字(UTF-8 または固定幅の記号)]
+      const offsetBits = bitsFor(windowSize);
+      const lengthBits = bitsFor(maxLength);
+      const file = writeContainer("lz77", symbols.length, (writer) => {
+        writer.write(symbolBits, 8);
+        writer.write(offsetBits, 8);
+        writer.write(lengthBits, 8);
+      }, (writer) => {
+        steps.forEach(({ offset, length, next }) => {
+          writer.write(offset, offsetBits);
+          writer.write(length, lengthBits);
+          writeSymbol(writer, next, symbolBits);
+        });
+      });
+
+      const ratio = (file.fileBits / originalBits) * 100;
+      return {
+        encoded,
+        ratio,
+        steps,
+        animationSteps,
+        originalLength: originalBits,
+        encodedLength: file.fileBits,
+        windowSize,
+        maxLength,
+        symbolBits,
+        // 次の段へ渡す出力記号列: [オフセット, 長さ, 次の記号, ...]
+        tokens: steps.flatMap(({ offset, length, next }) => [offset, length, symbolBits ? next : next.codePointAt(0)]),
+        ...file
+      };
+    },
+
+    decodeBinary: (reader, length) => {
+      const symbolBits = reader.read(8);
+      const offsetBits = reader.read(8);
+      const lengthBits = reader.read(8);
+      const decoded = [];
+      while (decoded.length < length) {
+        const offset = reader.read(offsetBits);
+        const len = reader.read(lengthBits);
+        const next = readSymbol(reader, symbolBits);
+        if (offset > decoded.length) throw new Error("オフセットが復元済みの範囲を超えています");
+        const start = decoded.length - offset;
+        for (let k = 0; k < len; k++) decoded.push(decoded[start + k]);
+        decoded.push(next);
+      }
+      return symbolBits ? decoded : decoded.join("");
+    },
+
+    decode: (text) => {
+      const res = CompressionLogic.lz77.decodeSteps(text);
+      return res.error || res.decoded;
+    },
+
+    // 「(オフセット,長さ,次の文字)」の並びを先頭から順に展開する
+    decodeSteps: (text) => {
+      const regex = /\((\d+),(\d+),([\s\S])\)/gu;
+      const decoded = [];
+      const animationSteps = [];
+      let match;
+
+      while ((match = regex.exec(text)) !== null) {
+        const offset = parseInt(match[1], 10);
+        const len = parseInt(match[2], 10);
+        const next = match[3];
+        if (offset > decoded.length || (len > 0 && offset === 0)) {
+          return { decoded: decoded.join(""), animationSteps, error: `復元エラー: 「${match[0]}」のオフセットが復元済みの範囲を超えています` };
+        }
+        const start = decoded.length - offset;
+        for (let k = 0; k < len; k++) decoded.push(decoded[start + k]);
+        const copied = decoded.slice(decoded.length - len).join("");
+        decoded.push(next);
+
+        animationSteps.push({
+          index: Array.from(text.slice(0, match.index)).length,
+          length: Array.from(match[0]).length,
+          description: len > 0
+            ? `「${match[0]}」→ ${offset} 文字前から ${len} 文字「${copied}」をコピーし、「${next}」を付け足します`
+            : `「${match[0]}」→ 一致なし。「${next}」をそのまま出力します`,
+          outputChunk: copied + next,
+          currentEncoded: decoded.join("")
+        });
+      }
+      return { decoded: decoded.join(""), animationSteps };
+    },
+
+    getDescription: () => ({
+      summary: "すでに出てきたデータ（探索窓）の中から同じ並びを探し、「何文字前から何文字コピーするか」で表す方式。",
+      pros: "繰り返し出てくる単語やパターンを参照に置き換えられる。ZIP・gzip・PNG (Deflate) の土台になっている。",
+      cons: "探索窓の外にある繰り返しは使えない。一致がないときは1文字ごとに(0,0,文字)となり、逆にデータ量が増える。"
+    })
+  },
+
+  // ==========================================
+  // ランレングス + ハフマン (FAX G3 方式)
+  // ==========================================
+  rleHuffman: {
+    // 連続数（ランの長さ）をハフマン符号で表す。
+    // 白黒 (symbolBits = 1) では FAX と同じく白から始めて白・黒のランを交互に並べ、色は書かない（黒から始まる行は白0個のランを置く）
+    // それ以外では1ランごとに「色 + 長さの符号」を書く
+    encode: (input, options = {}) => {
+      if (!input || input.length === 0) return { encoded: "", ratio: 0, runs: [], animationSteps: [] };
+      const { symbols, symbolBits, originalBits } = toSymbols(input, options.symbolBits);
+      const alternating = symbolBits === 1;
+
+      // 1. ランに分ける
+      const runs = [];
+      if (alternating && symbols[0] !== 0) runs.push({ char: 0, index: 0, count: 0 });
+      let i = 0;
+      while (i < symbols.length) {
+        let count = 1;
+        while (i + count < symbols.length && symbols[i] === symbols[i + count]) count++;
+        runs.push({ char: symbols[i], index: i, count });
+        i += count;
+      }
+
+      // 2. ランの長さの並びにハフマン符号を割り当てる
+      const lengths = runs.map(run => run.count);
+      // ランの数が多いと Math.max(...lengths) は引数が多すぎて失敗するので、1つずつ比べる
+      const lengthBits = bitsFor(lengths.reduce((max, n) => Math.max(max, n), 0));
+      const huff = CompressionLogic.huffman.encode(lengths, { symbolBits: lengthBits });
+      const codes = huff.map;
+
+      // 3. 各ランを符号に置き換える
+      let encoded = "";
+      const animationSteps = [];
+      runs.forEach((run) => {
+        const colorBits = alternating ? "" : symbolBits ? run.char.toString(2).padStart(symbolBits, "0") : "";
+        const code = codes[run.count];
+        const chunk = colorBits + code;
+        encoded += chunk;
+        animationSteps.push({
+          index: run.index,
+          length: run.count,
+          description: run.count === 0
+            ? `先頭が「0」ではないので、「0」が 0 回のランを置きます → 長さ0の符号 ${code}`
+            : alternating
+            ? `「${run.char}」が ${run.count} 回連続 → 長さ${run.count}の符号 ${code}（色は交互なので書きません）`
+            : `「${run.char}」が ${run.count} 回連続 → 色 ${colorBits || run.char} + 長さ${run.count}の符号 ${code}`,
+          outputChunk: chunk,
+          currentEncoded: encoded,
+          lookupChar: run.count,
+          lookupCode: code
+        });
+      });
+
+      // ファイルへの書き出し: 記号のビット数 8bit + 長さのビット数 8bit + 長さの符号表 → 各ランの [色] + 符号
+      const file = writeContainer("rleHuffman", symbols.length, (writer) => {
+        writer.write(symbolBits, 8);
+        writer.write(lengthBits, 8);
+        writeHuffmanTable(writer, Object.entries(codes).map(([count, code]) => [Number(count), code]), lengthBits);
+      }, (writer) => {
+        runs.forEach((run) => {
+          if (!alternating) writeSymbol(writer, run.char, symbolBits);
+          writer.writeBitString(codes[run.count]);
+        });
+      });
+
+      const ratio = (file.fileBits / originalBits) * 100;
+      return {
+        encoded,
+        ratio,
+        runs: runs.map(run => ({ char: run.char, count: run.count, code: codes[run.count] })),
+        map: codes,
+        animationSteps,
+        originalLength: originalBits,
+        encodedLength: file.fileBits,
+        symbolBits,
+        tokens: Array.from(encoded, Number),
+        ...file
+      };
+    },
+
+    decodeBinary: (reader, length) => {
+      const symbolBits = reader.read(8);
+      const lengthBits = reader.read(8);
+      const reverseMap = readHuffmanTable(reader, lengthBits);
+      const alternating = symbolBits === 1;
+
+      const decoded = [];
+      let color = 0;
+      while (decoded.length < length) {
+        const char = alternating ? color : readSymbol(reader, symbolBits);
+        let currentCode = "";
+        while (reverseMap[currentCode] === undefined) currentCode += reader.readBit();
+        for (let k = 0; k < reverseMap[currentCode]; k++) decoded.push(char);
+        color = 1 - color;
+      }
+      return symbolBits ? decoded : decoded.join("");
+    },
+
+    getDescription: () => ({
+      summary: "ランレングスで「何個続くか」に置き換えたあと、よく出る長さほど短い符号になるようハフマン符号化する方式（FAXのG3規格の考え方）。",
+      pros: "白黒の文書のように、同じ長さのランが何度も出てくる画像で効果が大きい。白黒では色を書かずに済む。",
+      cons: "ランが短く長さもばらばらな画像では、符号表の分だけかえって大きくなる。"
+    })
+  },
+
+  // ==========================================
+  // ブロックソート変換 (Burrows-Wheeler Transform)
+  // ==========================================
+  bwt: {
+    // 入力を1記号ずつ回転させた全ての並びを辞書順に並べ、各行の最後の記号を集める。
+    // 同じ文脈の前にある記号がまとまるので、後ろの RLE やハフマン符号が効きやすくなる（サイズは変わらない）
+    encode: (input, options = {}) => {
+      if (!input || input.length === 0) return { encoded: "", ratio: 0, animationSteps: [] };
+      const { symbols, symbolBits, originalBits } = toSymbols(input, options.symbolBits);
+      const isText = symbolBits === 0;
+      const n = symbols.length;
+      const join = (list) => isText ? list.join("") : list.join(",");
+      // 表示用: start から始まる回転（長いものは省略）
+      const rotation = (start) => {
+        const shown = [];
+        for (let k = 0; k < Math.min(n, 24); k++) shown.push(symbols[(start + k) % n]);
+        return join(shown) + (n > 24 ? "…" : "");
+      };
+      // options.recordSteps = false: 大きなファイル向けに、並べ替えた行ごとのステップを作らない
+      const recordSteps = options.recordSteps !== false;
+
+      const rotations = symbols.map((_, start) => start);
+      const sorted = sortRotations(symbols);
+      const primaryIndex = sorted.indexOf(0); // 元の並びが何行目に来たか
+      const last = sorted.map(start => symbols[(start + n - 1) % n]);
+
+      const animationSteps = [{
+        index: -1,
+        length: 0,
+        phase: "rotations",
+        description: `入力を1${isText ? "文字" : "記号"}ずつ左へ回転させた ${n} 通りの並びを作ります。`,
+        outputChunk: "",
+        currentEncoded: ""
+      }, {
+        index: -1,
+        length: 0,
+        phase: "sorted",
+        description: `回転した並びを辞書順に並べ替えます。元の並びは ${primaryIndex} 行目に来ました（この番号も一緒に保存します）。`,
+        outputChunk: "",
+        currentEncoded: ""
+      }];
+      let encodedText = "";
+      sorted.forEach((start, row) => {
+        if (!recordSteps) return;
+        const pos = (start + n - 1) % n;
+        const chunk = isText ? symbols[pos] : (row > 0 ? "," : "") + symbols[pos];
+        encodedText += chunk;
+        animationSteps.push({
+          index: pos,
+          length: 1,
+          phase: "last",
+          row,
+          description: `${row} 行目「${rotation(start)}」の最後の${isText ? "文字" : "記号"}「${symbols[pos]}」を取り出します（元の入力の ${pos + 1} 番目）。`,
+          outputChunk: chunk,
+          currentEncoded: encodedText
+        });
+      });
+
+      // ファイルへの書き出し: 記号のビット数 8bit + 元の行の番号 32bit → 並べ替えた記号列
+      const file = writeContainer("bwt", n, (writer) => {
+        writer.write(symbolBits, 8);
+        writer.write(primaryIndex, 32);
+      }, (writer) => last.forEach(symbol => writeSymbol(writer, symbol, symbolBits)));
+
+      return {
+        encoded: join(last),
+        ratio: (file.fileBits / originalBits) * 100,
+        primaryIndex,
+        rotations,
+        sorted,
+        symbols,
+        animationSteps,
+        originalLength: originalBits,
+        encodedLength: file.fileBits,
+        symbolBits,
+        serializedMap: String(primaryIndex),
+        // 次の段へ渡す出力: 文字列ならそのまま文字列、記号配列なら配列
+        tokens: isText ? last.join("") : last,
+        ...file
+      };
+    },
+
+    // last: 最後の列, primaryIndex: 元の並びの行番号
+    // 最後の列を安定ソートすると先頭の列になり、同じ記号の k 番目どうしが対応することを使って元の順にたどる
+    inverse: (last, primaryIndex) => {
+      const n = last.length;
+      const order = last.map((_, k) => k).sort((a, b) => (last[a] < last[b] ? -1 : last[a] > last[b] ? 1 : a - b));
+      const decoded = [];
+      const path = [];
+      let row = primaryIndex;
+      for (let k = 0; k < n; k++) {
+        const next = order[row];
+        path.push({ row, from: next });
+        decoded.push(last[next]);
+        row = next;
+      }
+      return { decoded, path, first: order.map(k => last[k]) };
+    },
+
+    decode: (text, primaryIndex) => {
+      const res = CompressionLogic.bwt.decodeSteps(text, primaryIndex);
+      return res.error || res.decoded;
+    },
+
+    decodeSteps: (text, primaryIndexText) => {
+      const last = Array.from(text || "");
+      const primaryIndex = Number(primaryIndexText);
+      if (last.length === 0) return { decoded: "", animationSteps: [] };
+      if (primaryIndexText === "" || !Number.isInteger(primaryIndex) || primaryIndex < 0 || primaryIndex >= last.length) {
+        return { decoded: "", animationSteps: [], error: `元の行の番号には 0〜${last.length - 1} の整数を入力してください。` };
+      }
+      const { decoded, path, first } = CompressionLogic.bwt.inverse(last, primaryIndex);
+      const animationSteps = [{
+        index: -1,
+        length: 0,
+        description: `最後の列「${text}」を並べ替えると、先頭の列「${first.join("")}」になります。\n同じ文字どうしは、最後の列と先頭の列で同じ順番に並んでいます。`,
+        outputChunk: "",
+        currentEncoded: ""
+      }];
+      path.forEach(({ row, from }, k) => {
+        animationSteps.push({
+          index: from,
+          length: 1,
+          description: `${row} 行目の先頭の文字は、最後の列の ${from + 1} 番目の「${last[from]}」と同じものです → 「${last[from]}」を出力し、${from} 行目へ進みます。`,
+          outputChunk: last[from],
+          currentEncoded: decoded.slice(0, k + 1).join("")
+        });
+      });
+      return { decoded: decoded.join(""), animationSteps };
+    },
+
+    decodeBinary: (reader, length) => {
+      const symbolBits = reader.read(8);
+      const primaryIndex = reader.read(32);
+      const last = [];
+      for (let k = 0; k < length; k++) last.push(readSymbol(reader, symbolBits));
+      const { decoded } = CompressionLogic.bwt.inverse(last, primaryIndex);
+      return symbolBits ? decoded : decoded.join("");
+    },
+
+    getDescription: () => ({
+      summary: "データを回転させた全ての並びを辞書順に並べ替え、最後の列を取り出す変換（bzip2 で使われている）。データ量は変わらないが、同じ文字が集まりやすくなる。",
+      pros: "「MISSISSIPPI」のように、同じ文字が離れて繰り返す文章でも連続に変えられるため、後ろに RLE や MTF + ハフマン符号をつなぐと効果が大きい。",
+      cons: "それだけでは圧縮されない（元の行の番号の分だけ少し増える）。全ての回転を並べ替えるので、長いデータでは計算に時間がかかる。"
+    })
+  },
+
+  // ==========================================
+  // 前方移動変換 (Move-To-Front)
+  // ==========================================
+  mtf: {
+    // 記号の一覧（リスト）の中の位置を出力し、使った記号をリストの先頭へ移す。
+    // 最近使った記号ほど小さい番号になるので、BWT の後につなぐと 0 が多い偏った並びになる
+    encode: (input, options = {}) => {
+      if (!input || input.length === 0) return { encoded: "", ratio: 0, animationSteps: [] };
+      const { symbols, symbolBits, originalBits } = toSymbols(input, options.symbolBits);
+      // 初期リスト: 入力に出てくる記号を小さい順に並べたもの
+      const alphabet = [...new Set(symbols)].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+      const list = [...alphabet];
+      const indices = [];
+      const animationSteps = [];
+      // options.recordSteps = false: 大きなファイル向けに、リストの写し (1記号ごとに2つ) を持つステップを作らない
+      const recordSteps = options.recordSteps !== false;
+      let encodedText = "";
+
+      symbols.forEach((symbol, i) => {
+        const before = recordSteps ? [...list] : null;
+        const position = list.indexOf(symbol);
+        list.splice(position, 1);
+        list.unshift(symbol);
+        indices.push(position);
+        if (!recordSteps) return;
+        encodedText += (i > 0 ? "," : "") + position;
+        animationSteps.push({
+          index: i,
+          length: 1,
+          description: position === 0
+            ? `「${symbol}」はリストの先頭 (0番) にあるので 0 を出力します。`
+            : `「${symbol}」はリストの ${position} 番目にあるので ${position} を出力し、「${symbol}」をリストの先頭へ移します。`,
+          outputChunk: (i > 0 ? "," : "") + position,
+          currentEncoded: encodedText,
+          list: before,
+          position,
+          nextList: [...list]
+        });
+      });
+
+      // ファイルへの書き出し: 記号のビット数 8bit + 初期リスト [種類数 16bit, 記号...] + 番号のビット数 8bit → 番号の並び
+      const indexBits = bitsFor(alphabet.length - 1);
+      const file = writeContainer("mtf", symbols.length, (writer) => {
+        writer.write(symbolBits, 8);
+        writer.write(alphabet.length, 16);
+        alphabet.forEach(symbol => writeSymbol(writer, symbol, symbolBits));
+        writer.write(indexBits, 8);
+      }, (writer) => indices.forEach(index => writer.write(index, indexBits)));
+
+      return {
+        encoded: indices.join(","),
+        ratio: (file.fileBits / originalBits) * 100,
+        alphabet,
+        animationSteps,
+        originalLength: originalBits,
+        encodedLength: file.fileBits,
+        symbolBits,
+        indexBits,
+        serializedMap: JSON.stringify(alphabet),
+        tokens: indices, // 次の段へ渡す出力記号列 (リスト内の番号)
+        ...file
+      };
+    },
+
+    // 番号の並びと初期リストから、リストを同じように並べ替えながら記号を取り出す
+    inverse: (indices, alphabet) => {
+      const list = [...alphabet];
+      return indices.map(position => {
+        const symbol = list[position];
+        list.splice(position, 1);
+        list.unshift(symbol);
+        return symbol;
+      });
+    },
+
+    decode: (text, alphabetJSON) => {
+      const res = CompressionLogic.mtf.decodeSteps(text, alphabetJSON);
+      return res.error || res.decoded;
+    },
+
+    decodeSteps: (text, alphabetJSON) => {
+      if (!text || !alphabetJSON) return { decoded: "", animationSteps: [], error: "復元には初期リストが必要です。" };
+      let alphabet;
+      try {
+        alphabet = JSON.parse(alphabetJSON);
+      } catch (e) {
+        return { decoded: "", animationSteps: [], error: "初期リストの解析に失敗しました。" };
+      }
+      if (!Array.isArray(alphabet) || alphabet.length === 0) {
+        return { decoded: "", animationSteps: [], error: "初期リストは [\"A\",\"B\"] のような配列で入力してください。" };
+      }
+      const tokens = text.split(",");
+      const indices = tokens.map(Number);
+      if (indices.some(v => !Number.isInteger(v) || v < 0 || v >= alphabet.length)) {
+        return { decoded: "", animationSteps: [], error: `形式エラー: 0〜${alphabet.length - 1} の番号をカンマ区切りで入力してください` };
+      }
+
+      const list = [...alphabet];
+      const decoded = [];
+      let decodedText = ""; // 表示用の出力 (長い入力でも遅くならないよう足していく)
+      const animationSteps = [];
+      let offset = 0; // 入力文字列の中での番号の位置
+      indices.forEach((position, k) => {
+        const before = [...list];
+        const symbol = list[position];
+        list.splice(position, 1);
+        list.unshift(symbol);
+        decoded.push(symbol);
+        decodedText += symbol;
+        const token = String(position);
+        animationSteps.push({
+          index: offset,
+          length: token.length,
+          description: `番号 ${position} → リストの ${position} 番目の「${symbol}」を出力し、リストの先頭へ移します。`,
+          outputChunk: String(symbol),
+          currentEncoded: decodedText,
+          list: before,
+          position,
+          nextList: [...list]
+        });
+        offset += tokens[k].length + 1;
+      });
+      return { decoded: decodedText, animationSteps };
+    },
+
+    decodeBinary: (reader, length) => {
+      const symbolBits = reader.read(8);
+      const alphabetSize = reader.read(16);
+      const alphabet = [];
+      for (let k = 0; k < alphabetSize; k++) alphabet.push(readSymbol(reader, symbolBits));
+      const indexBits = reader.read(8);
+      const indices = [];
+      for (let k = 0; k < length; k++) indices.push(reader.read(indexBits));
+      const decoded = CompressionLogic.mtf.inverse(indices, alphabet);
+      return symbolBits ? decoded : decoded.join("");
+    },
+
+    getDescription: () => ({
+      summary: "記号をリストの中の位置（番号）に置き換え、使った記号をリストの先頭へ移す変換。同じ記号が続くと 0 が続く。",
+      pros: "BWT で集まった同じ文字の連続を「0 の連続」に変えるので、後ろのハフマン符号や RLE が効きやすくなる。",
+      cons: "それだけでは圧縮されない。いろいろな記号が入り混じったデータでは番号が大きくばらつき、効果がない。"
+    })
+  },
+
+  // ==========================================
+  // 情報量 (エントロピー) の分析
+  // ==========================================
+  entropy: {
+    // 記号ごとの出現確率と情報量、平均情報量 H (ビット/記号)、その理論上の最小サイズを求め、
+    // ハフマン符号の平均符号長と並べる
+    analyze: (input, options = {}) => {
+      if (!input || input.length === 0) return null;
+      const { symbols, symbolBits, originalBits } = toSymbols(input, options.symbolBits);
+      const huff = CompressionLogic.huffman.encode(input, options);
+      const total = symbols.length;
+
+      const rows = huff.freqTable.map(({ char, freq }) => {
+        const p = freq / total;
+        const code = huff.map[char];
+        return { symbol: char, count: freq, p, info: -Math.log2(p), code, codeLength: code.length };
+      });
+      const entropy = rows.reduce((sum, row) => sum + row.p * row.info, 0);
+      const huffmanAverage = rows.reduce((sum, row) => sum + row.p * row.codeLength, 0);
+
+      return {
+        rows,
+        symbolCount: total,
+        symbolBits,
+        originalBits,
+        entropy, // 1記号あたりのビット数
+        minBits: entropy * total, // 理論上の最小サイズ (データ本体のみ)
+        huffmanAverage,
+        huffmanBits: huff.encoded.length
+      };
+    }
+  },
+
+  // ==========================================
+  // 画像の走査順 (Scan Order)
+  // ==========================================
+  scan: {
+    // row: 行ごと, column: 列ごと, snake: 行ごとに折り返し, zigzag: JPEGのジグザグ, hilbert: ヒルベルト曲線
+    orders: ["row", "column", "snake", "zigzag", "hilbert"],
+
+    // 一辺 n 画素の画像を読む順番を、画素番号 (行 × n + 列) の配列で返す
+    path: (n, order) => {
+      const cells = [];
+      const visit = (r, c) => cells.push(r * n + c);
+      if (order === "column") {
+        for (let c = 0; c < n; c++) for (let r = 0; r < n; r++) visit(r, c);
+      } else if (order === "snake") {
+        for (let r = 0; r < n; r++) {
+          for (let k = 0; k < n; k++) visit(r, r % 2 === 0 ? k : n - 1 - k);
+        }
+      } else if (order === "zigzag") {
+        // 右上がりの斜めの列 (行+列 = d) を、偶数番目は左下から、奇数番目は右上から読む
+        for (let d = 0; d <= 2 * (n - 1); d++) {
+          const rows = [];
+          for (let r = Math.max(0, d - n + 1); r <= Math.min(d, n - 1); r++) rows.push(r);
+          if (d % 2 === 0) rows.reverse();
+          rows.forEach(r => visit(r, d - r));
+        }
+      } else if (order === "hilbert") {
+        // 曲線上の d 番目の点の座標を、大きさ 2, 4, 8, ... の区画ごとに回転・反転しながら求める (n は2の累乗)
+        for (let d = 0; d < n * n; d++) {
+          let x = 0;
+          let y = 0;
+          let t = d;
+          for (let size = 1; size < n; size *= 2) {
+            const rx = 1 & (t / 2);
+            const ry = 1 & (t ^ rx);
+            if (ry === 0) {
+              if (rx === 1) {
+                x = size - 1 - x;
+                y = size - 1 - y;
+              }
+              [x, y] = [y, x];
+            }
+            x += size * rx;
+            y += size * ry;
+            t = Math.floor(t / 4);
+          }
+          visit(y, x);
+        }
+      } else {
+        for (let i = 0; i < n * n; i++) cells.push(i);
+      }
+      return cells;
+    },
+
+    // 2次元の画素配列を、指定した順番で1列に並べる
+    flatten: (grid, order) => {
+      const n = grid.length;
+      return CompressionLogic.scan.path(n, order).map(i => grid[Math.floor(i / n)][i % n]);
+    },
+
+    // 同じ値が続くまとまり (ラン) の数
+    countRuns: (values) => values.filter((v, i) => i === 0 || v !== values[i - 1]).length
+  },
+
+  // ==========================================
+  // DCT + 量子化 (JPEG 風の非可逆圧縮)
+  // ==========================================
+  dct: {
+    blockSize: DCT_N,
+
+    // 品質 (1〜100) に合わせて標準テーブルを拡大・縮小する (libjpeg と同じ計算)
+    quantTable: (quality) => {
+      const q = Math.min(100, Math.max(1, Math.round(quality)));
+      const scale = q < 50 ? 5000 / q : 200 - q * 2;
+      return JPEG_LUMINANCE_QUANT.map(base => Math.min(255, Math.max(1, Math.floor((base * scale + 50) / 100))));
+    },
+
+    // 8×8 の値 (block[行][列]) を周波数成分 F[縦の周波数][横の周波数] に変換する
+    forward: (block) => Array.from({ length: DCT_N }, (_, p) => Array.from({ length: DCT_N }, (_, q) => {
+      let sum = 0;
+      for (let r = 0; r < DCT_N; r++) {
+        for (let c = 0; c < DCT_N; c++) sum += block[r][c] * DCT_BASIS[p][r] * DCT_BASIS[q][c];
+      }
+      return sum / 4;
+    })),
+
+    // 周波数成分から 8×8 の値に戻す
+    inverse: (coefficients) => Array.from({ length: DCT_N }, (_, r) => Array.from({ length: DCT_N }, (_, c) => {
+      let sum = 0;
+      for (let p = 0; p < DCT_N; p++) {
+        for (let q = 0; q < DCT_N; q++) sum += coefficients[p][q] * DCT_BASIS[p][r] * DCT_BASIS[q][c];
+      }
+      return sum / 4;
+    })),
+
+    // pixels: 一辺 n 画素のグレー画像 (0 = 黒 〜 255 = 白)。n が 8 の倍数でなければ端の画素を繰り返して埋める
+    // options.quality: 1〜100 (小さいほど粗く量子化して小さくなる)
+    // 量子化した係数をジグザグ順に並べ、既存の RLE → ハフマン で圧縮する
+    encode: (pixels, options = {}) => {
+      const n = pixels.length;
+      const quality = options.quality || 50;
+      const table = CompressionLogic.dct.quantTable(quality);
+      const zigzag = CompressionLogic.scan.path(DCT_N, "zigzag");
+      const blocksPerSide = Math.ceil(n / DCT_N);
+      const padded = blocksPerSide * DCT_N;
+      const at = (r, c) => pixels[Math.min(r, n - 1)][Math.min(c, n - 1)];
+
+      const blocks = [];
+      const reconstructedPadded = Array.from({ length: padded }, () => new Array(padded).fill(0));
+      const coefficientSymbols = [];
+      for (let br = 0; br < blocksPerSide; br++) {
+        for (let bc = 0; bc < blocksPerSide; bc++) {
+          const block = Array.from({ length: DCT_N }, (_, r) => Array.from({ length: DCT_N }, (_, c) => at(br * DCT_N + r, bc * DCT_N + c)));
+          // 0〜255 を -128〜127 にずらしてから変換する
+          const coefficients = CompressionLogic.dct.forward(block.map(row => row.map(v => v - 128)));
+          const quantized = coefficients.map((row, p) => row.map((v, q) => Math.round(v / table[p * DCT_N + q]) || 0));
+          const dequantized = quantized.map((row, p) => row.map((v, q) => v * table[p * DCT_N + q]));
+          const reconstructed = CompressionLogic.dct.inverse(dequantized).map(row => row.map(v => Math.min(255, Math.max(0, Math.round(v + 128)))));
+          const sequence = zigzag.map(cell => quantized[Math.floor(cell / DCT_N)][cell % DCT_N]);
+
+          reconstructed.forEach((row, r) => row.forEach((v, c) => { reconstructedPadded[br * DCT_N + r][bc * DCT_N + c] = v; }));
+          sequence.forEach(v => coefficientSymbols.push(toUnsigned(v)));
+          blocks.push({
+            row: br,
+            col: bc,
+            pixels: block,
+            coefficients,
+            quantized,
+            dequantized,
+            reconstructed,
+            zigzag: sequence,
+            nonZero: sequence.filter(v => v !== 0).length
+          });
+        }
+      }
+
+      const reconstructed = reconstructedPadded.slice(0, n).map(row => row.slice(0, n));
+      let squaredError = 0;
+      pixels.forEach((row, r) => row.forEach((v, c) => { squaredError += (v - reconstructed[r][c]) ** 2; }));
+      const mse = squaredError / (n * n);
+      // PSNR (ピーク信号対雑音比): 大きいほど元の画像に近い。誤差がなければ無限大
+      const psnr = mse === 0 ? Infinity : 10 * Math.log10(255 ** 2 / mse);
+
+      // 係数は符号付きなので 0 以上に並べ直し、RLE → ハフマン の順に圧縮する
+      const symbolBits = bitsFor(coefficientSymbols.reduce((max, v) => Math.max(max, v), 0));
+      const entropyCoding = CompressionLogic.pipeline.run(coefficientSymbols, ["rle", "huffman"], { symbolBits });
+      const originalBits = n * n * 8;
+      const compressedBits = entropyCoding.finalBits + DCT_HEADER_BITS;
+
+      return {
+        size: n,
+        quality,
+        quantTable: Array.from({ length: DCT_N }, (_, p) => table.slice(p * DCT_N, (p + 1) * DCT_N)),
+        blocks,
+        reconstructed,
+        coefficientSymbols,
+        symbolBits,
+        entropyCoding,
+        headerBits: DCT_HEADER_BITS,
+        originalBits,
+        compressedBits,
+        ratio: (compressedBits / originalBits) * 100,
+        mse,
+        psnr
+      };
+    },
+
+    getDescription: () => ({
+      summary: "画像を8×8のブロックに分け、明るさの変化を周波数成分に変換 (DCT) してから、細かい成分を粗く丸める (量子化) 方式。JPEGの基本。",
+      pros: "人の目が気づきにくい細かい模様の情報を捨てるため、写真のようななめらかな画像を大幅に小さくできる。",
+      cons: "捨てた情報は戻らない (非可逆)。文字や線のようなくっきりした境目ではにじみ (モスキートノイズ) やブロックの境目が目立つ。"
+    })
+  },
+
+  // ==========================================
+  // 音声 (標本化・量子化・差分)
+  // ==========================================
+  audio: {
+    maxSamples: AUDIO_MAX_SAMPLES,
+    sourceBits: AUDIO_SOURCE_BITS,
+    // sine: 正弦波, chord: 和音, square: 矩形波, sawtooth: のこぎり波, noise: 雑音
+    waves: ["sine", "chord", "square", "sawtooth", "noise"],
+
+    // -1〜1 の標本の並びを作る
+    synthesize: (wave, { sampleRate = 8000, duration = 1, frequency = 440 } = {}) => {
+      const count = Math.min(AUDIO_MAX_SAMPLES, Math.round(sampleRate * duration));
+      return Array.from({ length: count }, (_, i) => {
+        const t = i / sampleRate;
+        const phase = (t * frequency) % 1;
+        if (wave === "chord") {
+          // ド・ミ・ソ (4:5:6) を重ねる
+          return (Math.sin(2 * Math.PI * frequency * t) + Math.sin(2 * Math.PI * frequency * 1.25 * t) + Math.sin(2 * Math.PI * frequency * 1.5 * t)) / 3 * 0.9;
+        }
+        if (wave === "square") return phase < 0.5 ? 0.8 : -0.8;
+        if (wave === "sawtooth") return (phase * 2 - 1) * 0.8;
+        if (wave === "noise") return (Math.random() * 2 - 1) * 0.8;
+        return Math.sin(2 * Math.PI * frequency * t) * 0.8;
+      });
+    },
+
+    // WAV ファイル (PCM 8/16bit または 32bit 浮動小数点) を読み、モノラルの -1〜1 の標本にする
+    // 長いファイルは先頭の AUDIO_MAX_SAMPLES 個だけを使う
+    parseWav: (bytes) => {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      if (bytes.length < 12 || readAscii(bytes, 0, 4) !== "RIFF" || readAscii(bytes, 8, 4) !== "WAVE") {
+        throw new Error("WAV ファイルではありません（先頭が RIFF/WAVE ではありません）。");
+      }
+      let format = null;
+      let data = null;
+      for (let offset = 12; offset + 8 <= bytes.length;) {
+        const id = readAscii(bytes, offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        if (id === "fmt ") {
+          format = {
+            audioFormat: view.getUint16(offset + 8, true),
+            channels: view.getUint16(offset + 10, true),
+            sampleRate: view.getUint32(offset + 12, true),
+            bitDepth: view.getUint16(offset + 22, true)
+          };
+        } else if (id === "data") {
+          data = { offset: offset + 8, size: Math.min(size, bytes.length - offset - 8) };
+        }
+        offset += 8 + size + (size % 2); // チャンクは偶数バイトにそろえられている
+      }
+      if (!format || !data) throw new Error("WAV ファイルに fmt または data チャンクがありません。");
+      const { audioFormat, channels, sampleRate, bitDepth } = format;
+      const isFloat = audioFormat === 3 && bitDepth === 32;
+      if (!(audioFormat === 1 && (bitDepth === 8 || bitDepth === 16)) && !isFloat) {
+        throw new Error(`未対応の形式です（${bitDepth}bit, 形式番号 ${audioFormat}）。8bit/16bit の PCM か 32bit 浮動小数点の WAV を選んでください。`);
+      }
+      const frameBytes = (bitDepth / 8) * channels;
+      const frames = Math.floor(data.size / frameBytes);
+      const count = Math.min(frames, AUDIO_MAX_SAMPLES);
+      const readValue = (pos) => {
+        if (isFloat) return view.getFloat32(pos, true);
+        if (bitDepth === 8) return (bytes[pos] - 128) / 128; // 8bit は 0〜255 (128 が無音)
+        return view.getInt16(pos, true) / 32768;
+      };
+      // ステレオなどは各チャンネルの平均をとってモノラルにする
+      const samples = Array.from({ length: count }, (_, i) => {
+        let sum = 0;
+        for (let ch = 0; ch < channels; ch++) sum += readValue(data.offset + i * frameBytes + ch * (bitDepth / 8));
+        return Math.max(-1, Math.min(1, sum / channels));
+      });
+      return { samples, sampleRate, bitDepth, channels, duration: frames / sampleRate, trimmed: frames > count };
+    },
+
+    // samples: -1〜1 の標本, options.sampleRate: 元の標本化周波数, options.sourceBits: 元の量子化ビット数
+    // options.step: 何個に1個の標本を残すか (標本化周波数を 1/step にする), options.bitDepth: 量子化ビット数
+    // 量子化した値そのままと、隣との差分 (デルタ) の両方を RLE / ハフマン / LZW で圧縮する
+    process: (samples, options = {}) => {
+      const sampleRate = options.sampleRate || 8000;
+      const sourceBits = options.sourceBits || AUDIO_SOURCE_BITS;
+      const step = Math.max(1, options.step || 1);
+      const bitDepth = Math.min(16, Math.max(1, options.bitDepth || 8));
+      const maxLevel = 2 ** bitDepth - 1;
+
+      // 標本化: step 個ごとに1個を取り出す / 量子化: -1〜1 を 0〜maxLevel の整数に丸める
+      const picked = samples.filter((_, i) => i % step === 0);
+      const levels = picked.map(x => Math.min(maxLevel, Math.max(0, Math.round((x + 1) / 2 * maxLevel))));
+      const toValue = (level) => maxLevel === 0 ? 0 : level / maxLevel * 2 - 1;
+      // 差分: 最初の値の後は、1つ前との差だけを並べる (符号付きなので 0 以上に並べ直す)
+      const deltas = levels.map((v, i) => i === 0 ? v : v - levels[i - 1]);
+
+      // 復元: 量子化した値を -1〜1 に戻し、次の標本までは同じ値を保つ (元の標本の数にそろえる)
+      const reconstructed = samples.map((_, i) => toValue(levels[Math.floor(i / step)]));
+      let signal = 0;
+      let noise = 0;
+      samples.forEach((x, i) => {
+        signal += x * x;
+        noise += (x - reconstructed[i]) ** 2;
+      });
+      // SNR (信号対雑音比): 大きいほど元の音に近い
+      const snr = noise === 0 ? Infinity : 10 * Math.log10(signal / noise);
+
+      const compress = (symbols) => {
+        const symbolBits = bitsFor(symbols.reduce((max, v) => Math.max(max, v), 0));
+        const encode = (algo) => CompressionLogic[algo].encode(symbols, { symbolBits });
+        return {
+          symbols,
+          symbolBits,
+          sizes: { rle: encode("rle").fileBits, huffman: encode("huffman").fileBits, lzw: encode("lzw").fileBits }
+        };
+      };
+
+      return {
+        sampleRate: sampleRate / step,
+        bitDepth,
+        levels,
+        deltas,
+        reconstructed,
+        snr,
+        originalBits: samples.length * sourceBits,
+        pcmBits: levels.length * bitDepth, // 標本化・量子化しただけの大きさ
+        plain: compress(levels),
+        delta: compress(deltas.map(toUnsigned))
+      };
+    }
+  },
+
+  // ==========================================
+  // 練習問題 (実際の圧縮結果から出題し、答え合わせする)
+  // ==========================================
+  quiz: {
+    // rleImage: 画像を RLE で書く / huffmanCode: ハフマン符号を答える / lzwNext: 次に出力する LZW のコード / bestAlgo: 最も小さくなる方式
+    kinds: ["rleImage", "huffmanCode", "lzwNext", "bestAlgo"],
+    levels: ["easy", "normal", "hard"],
+
+    // random を渡すと同じ問題を作り直せる (既定は Math.random)
+    generate: (kind, level = "normal", random = Math.random) => {
+      const levelIndex = Math.max(0, CompressionLogic.quiz.levels.indexOf(level));
+      const base = { kind, level };
+
+      if (kind === "rleImage") {
+        // 行ごとに 1〜3 本の線を引いた白黒画像 (0 = 白, 1 = 黒)
+        const size = [4, 6, 8][levelIndex];
+        const pixels = [];
+        for (let r = 0; r < size; r++) {
+          const cuts = Array.from({ length: 1 + Math.floor(random() * (levelIndex + 2)) }, () => Math.floor(random() * (size + 1))).sort((a, b) => a - b);
+          const startBlack = random() < 0.3;
+          for (let c = 0; c < size; c++) {
+            const flips = cuts.filter(cut => cut <= c).length;
+            pixels.push((flips + (startBlack ? 1 : 0)) % 2);
+          }
+        }
+        const res = CompressionLogic.rle.encode(pixels, { symbolBits: 1 });
+        return {
+          ...base,
+          prompt: `次の ${size}×${size} の白黒画像 (白 = 0, 黒 = 1) を、上の行から左→右の順に読んで RLE で表してください。「色×個数」を空白で区切って書きます (× は x でも可)。`,
+          image: { size, pixels },
+          placeholder: "0×5 1×3 0×8 ...",
+          answer: res.encoded,
+          hints: res.animationSteps.slice(0, 2 + levelIndex).map(step => step.description).concat("行の終わりで区切らず、次の行の先頭と同じ色ならランが続きます。"),
+          explanation: `答え: ${res.encoded}（${res.steps.length} 個のラン）`
+        };
+      }
+
+      if (kind === "huffmanCode") {
+        // 同じ回数の組み合わせで符号の長さが変わらないよう、回数の並びを決めておく
+        const counts = pickOne([[[4, 2, 1], [5, 2, 1]], [[5, 3, 2, 1], [6, 3, 2, 1]], [[8, 5, 3, 2, 1], [9, 5, 3, 2, 1, 1]]][levelIndex], random);
+        const letters = pickLetters(counts.length, random);
+        const text = shuffled(letters.flatMap((letter, i) => new Array(counts[i]).fill(letter)), random).join("");
+        const res = CompressionLogic.huffman.encode(text);
+        const target = pickOne(letters, random);
+        return {
+          ...base,
+          prompt: `「${text}」をハフマン符号化したとき、「${target}」の符号は何になりますか？ (0 と 1 で答えます。このアプリは符号の長さが決まったあと、短い順・文字の順に 0 から符号を振り直します)`,
+          text,
+          target,
+          placeholder: "010",
+          answer: res.map[target],
+          codes: res.map,
+          hints: [
+            `出現回数: ${res.freqTable.map(entry => `${entry.char}=${entry.freq}`).join(", ")}`,
+            ...res.animationSteps.filter(step => step.phase === "build").slice(1).map(step => step.description),
+            res.animationSteps.find(step => step.phase === "canonical").description
+          ],
+          explanation: `答え: ${res.map[target]}（符号表: ${Object.entries(res.map).map(([ch, code]) => `${ch}=${code}`).join(", ")}）`
+        };
+      }
+
+      if (kind === "lzwNext") {
+        const letters = pickLetters(2 + Math.min(levelIndex, 1), random);
+        const length = [8, 12, 16][levelIndex];
+        // 同じ並びが繰り返し現れるよう、短い模様をつなげて作る
+        const motif = Array.from({ length: 2 + levelIndex }, () => pickOne(letters, random)).join("");
+        let text = "";
+        while (text.length < length) text += random() < 0.75 ? motif : pickOne(letters, random);
+        text = text.slice(0, length);
+        const res = CompressionLogic.lzw.encode(text);
+        const outputs = res.animationSteps.filter(step => step.isOutputStep);
+        // 易しい問題以外は、辞書に登録した並び (257〜) を答える問題を優先する
+        const candidates = outputs.map((_, i) => i).filter(i => i >= 1 && (levelIndex === 0 || res.tokens[i] > 256));
+        const position = candidates.length > 0 ? pickOne(candidates, random) : outputs.length - 1;
+        const step = outputs[position];
+        const answer = res.tokens[position];
+        const dictionary = res.animationSteps
+          .slice(0, res.animationSteps.indexOf(step))
+          .filter(s => s.dictAdd)
+          .map(s => `${s.dictAdd.code}="${s.dictAdd.str}"`);
+        return {
+          ...base,
+          prompt: `「${text}」を LZW で圧縮します (初期辞書は文字コード、A = 65。登録は 257 番から)。ここまでの出力が「${res.tokens.slice(0, position).join(",")}」のとき、次に出力されるコードは何ですか？`,
+          text,
+          given: res.tokens.slice(0, position),
+          dictionary: levelIndex === 0 ? dictionary : null,
+          placeholder: "257",
+          answer: String(answer),
+          hints: [
+            `ここまでに登録された辞書: ${dictionary.join(", ") || "(まだありません)"}`,
+            step.description.split(String(answer)).join("?")
+          ],
+          explanation: `答え: ${answer}（${step.description.split("\n")[1] || step.description}）`
+        };
+      }
+
+      // bestAlgo: 連続・繰り返し・偏り・ばらばら のどれかの特徴を持つ文字列を作り、最も小さくなる方式を選ばせる
+      const length = [40, 28, 18][levelIndex];
+      const letters = pickLetters(4, random);
+      const style = pickOne(["runs", "repeat", "skewed", "random"], random);
+      let text = "";
+      while (text.length < length) {
+        if (style === "runs") text += pickOne(letters, random).repeat(4 + Math.floor(random() * 6));
+        else if (style === "repeat") text += letters.slice(0, 3).join("") + letters[3];
+        else if (style === "skewed") text += random() < 0.7 ? letters[0] : pickOne(letters, random);
+        else text += pickOne(letters, random);
+      }
+      text = text.slice(0, length);
+      const choices = [
+        { key: "rle", label: "ランレングス圧縮 (RLE)" },
+        { key: "huffman", label: "ハフマン符号化" },
+        { key: "lzw", label: "LZW圧縮" },
+        { key: "lz77", label: "LZ77 (スライド窓)" }
+      ].map(choice => ({ ...choice, bits: CompressionLogic[choice.key].encode(text).fileBits }));
+      const best = Math.min(...choices.map(choice => choice.bits));
+      const rleSteps = CompressionLogic.rle.encode(text).animationSteps;
+      return {
+        ...base,
+        prompt: `「${text}」を圧縮したとき、ファイルが最も小さくなるのはどの方式ですか？ (ヘッダーや符号表も含めたサイズで比べます)`,
+        text,
+        choices: choices.map(({ key, label }) => ({ key, label })),
+        answer: choices.filter(choice => choice.bits === best).map(choice => choice.key).join(","),
+        hints: [
+          `同じ文字の連続: RLE の最初のステップは「${rleSteps[0].description}」、ランは全部で ${rleSteps.length} 個です。`,
+          `文字の種類と回数: ${CompressionLogic.huffman.encode(text).freqTable.map(entry => `${entry.char}=${entry.freq}`).join(", ")}`,
+          "繰り返し現れる並びがあるかどうかにも注目しましょう (LZW・LZ77 が得意)。"
+        ],
+        explanation: `各方式のファイルサイズ: ${choices.map(choice => `${choice.label} ${choice.bits} bits`).join(" / ")}`
+      };
+    },
+
+    // 答え合わせ: { correct, message } を返す
+    check: (problem, input) => {
+      const answer = String(input ?? "").trim();
+      if (!answer) return { correct: false, message: "答えを入力してください。" };
+
+      if (problem.kind === "rleImage") {
+        const correct = normalizeRunAnswer(answer) === normalizeRunAnswer(problem.answer);
+        return { correct, message: correct ? "正解です！" : "違います。ランの区切りと個数をもう一度数えてみましょう。" };
+      }
+      if (problem.kind === "huffmanCode") {
+        const code = answer.replace(/\s+/g, "");
+        if (!/^[01]+$/.test(code)) return { correct: false, message: "0 と 1 だけで答えてください。" };
+        if (code === problem.answer) return { correct: true, message: "正解です！" };
+        if (code.length === problem.answer.length) {
+          // 木の作り方 (左右の選び方) で符号は変わるが、長さが同じなら同じだけ短くできている。
+          // ただし他の文字の符号と同じか、どちらかが他方の先頭になっていると区切りがわからず復元できない
+          const clash = Object.entries(problem.codes)
+            .find(([symbol, other]) => symbol !== problem.target && (other.startsWith(code) || code.startsWith(other)));
+          if (clash) {
+            const [symbol, other] = clash;
+            return { correct: false, message: `長さは合っていますが、「${symbol}」の符号 ${other} と${other === code ? "同じな" : "先頭が重なる"}ので、どちらの文字か区別できません。このアプリの符号は ${problem.answer} です。` };
+          }
+          return { correct: true, message: `長さは正解です。このアプリの符号は ${problem.answer} ですが、ほかの文字の符号と先頭が重ならないので正解とします。` };
+        }
+        return { correct: false, message: `違います。符号の長さは ${problem.answer.length} bit になるはずです。` };
+      }
+      if (problem.kind === "lzwNext") {
+        const correct = Number(answer) === Number(problem.answer);
+        return { correct, message: correct ? "正解です！" : "違います。辞書にある最も長い並びを探してみましょう。" };
+      }
+      const correct = problem.answer.split(",").includes(answer);
+      return { correct, message: correct ? "正解です！" : "違います。各方式の得意なデータを思い出してみましょう。" };
+    }
+  },
+
+  // ==========================================
+  // 組み合わせ圧縮 (Pipeline)
+  // ==========================================
+  pipeline: {
+    // 段として使えるアルゴリズム（出力記号列 tokens を返すもの）
+    // bwt / mtf は圧縮ではなく並べ替え（変換）の段。後ろに rle や huffman をつなげて使う
+    stageAlgos: ["bwt", "mtf", "rle", "huffman", "adaptiveHuffman", "arithmetic", "lzw", "lz77"],
+
+    // stages: ["lz77", "huffman"] のようなアルゴリズム名の並び
+    // 1段目は入力（文字列または記号配列）を、2段目以降は前の段の出力記号列 (tokens) を圧縮する
+    // options.symbolBits は1段目の記号配列にだけ使う
+    run: (input, stages, options = {}) => {
+      if (!input || input.length === 0 || stages.length === 0) return null;
+      const originalBits = toSymbols(input, options.symbolBits).originalBits;
+      const results = [];
+
+      stages.forEach((algo, i) => {
+        const res = CompressionLogic[algo].encode(input, i === 0 ? options : {});
+        const prevBits = i === 0 ? originalBits : results[i - 1].fileBits;
+        results.push({
+          algo,
+          encoded: res.encoded,
+          inputBits: res.originalLength, // この段に入った記号列そのもののビット数
+          inputCount: input.length,
+          fileBits: res.fileBits,
+          headerBits: res.headerBits,
+          payloadBits: res.payloadBits,
+          tokens: res.tokens,
+          ratio: (res.fileBits / originalBits) * 100, // 元データに対する割合
+          change: res.fileBits - prevBits // 直前の段からの増減
+        });
+        input = res.tokens;
+      });
+
+      return { originalBits, stages: results, finalBits: results[results.length - 1].fileBits };
+    }
+  },
+
+  // ==========================================
+  // 圧縮ファイル (バイナリ) の読み込み
+  // ==========================================
+  container: {
+    extension: "cmp",
+    commonHeaderBits: CONTAINER_COMMON_BITS,
+
+    decode: (bytes) => {
+      if (!bytes || bytes.length < CONTAINER_MAGIC.length + 5) {
+        return { error: "ファイルが短すぎます。このアプリで保存した圧縮ファイルを選んでください。" };
+      }
+      if (CONTAINER_MAGIC.some((b, i) => bytes[i] !== b)) {
+        return { error: "圧縮ファイルの形式ではありません（先頭の識別子が一致しません）。" };
+      }
+      try {
+        const reader = createBitReader(bytes);
+        reader.read(CONTAINER_MAGIC.length * 8);
+        const algoId = reader.read(8);
+        const algo = Object.keys(ALGO_IDS).find(key => ALGO_IDS[key] === algoId);
+        if (!algo) return { error: `未対応のアルゴリズムIDです (${algoId})。` };
+        const originalLength = reader.read(32);
+        const decoded = CompressionLogic[algo].decodeBinary(reader, originalLength);
+        return { algo, originalLength, decoded, fileBits: bytes.length * 8 };
+      } catch (e) {
+        return { error: `復元に失敗しました: ${e.message}` };
+      }
+    }
   }
 };
 
-window.CompressionLogic = CompressionLogic;
+export { CompressionLogic };
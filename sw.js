@@ -0,0 +1,46 @@
+// サービスワーカー: ビルドしたファイルを最初にすべてキャッシュし、ネットワークなしでも開けるようにする
+// キャッシュするファイルの一覧と版は、npm run build のときに vite.config.ts が埋め込む
+const CACHE_PREFIX = "compression-lab-";
+const CACHE_NAME = `${CACHE_PREFIX}__CACHE_VERSION__`;
+const PRECACHE = __PRECACHE__;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// 古い版のキャッシュを消す
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ページ本体はネットワークを先に試し (新しい版があれば使う)、つながらなければキャッシュを返す
+// ファイル名に内容のハッシュが付いた JS・CSS などは、キャッシュにあればそれを使う
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request).catch(() => caches.match("./index.html", { ignoreSearch: true }))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request).then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
@@ -0,0 +1,21 @@
+// logic.js の圧縮・復元が元に戻るかを確かめる (node --test で実行)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CompressionLogic } from "../logic.js";
+
+test("lzw: 16bit を超える記号も元に戻る", () => {
+  const symbols = [0, 65536, 0, 65536, 131070, 65535, 1, 65537];
+  const res = CompressionLogic.lzw.encode(symbols, { symbolBits: 17 });
+  assert.deepEqual(CompressionLogic.lzw.decodeCodes(res.tokens, 17).decoded, symbols);
+  assert.deepEqual(CompressionLogic.container.decode(res.binary).decoded, symbols);
+});
+
+test("arithmetic: 長さを書き換えたファイルは読み続けずにエラーになる", () => {
+  for (const model of ["fixed", "adaptive"]) {
+    const res = CompressionLogic.arithmetic.encode("ABRACADABRA", { model });
+    const bytes = Uint8Array.from(res.binary);
+    bytes.set([0x7f, 0xff, 0xff, 0xff], 5); // 元の長さ (32bit) を 0x7FFFFFFF に
+    assert.ok(CompressionLogic.container.decode(bytes).error);
+    assert.equal(CompressionLogic.container.decode(res.binary).decoded, "ABRACADABRA");
+  }
+});
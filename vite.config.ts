@@ -1,15 +1,39 @@
 import path from 'path';
-import { defineConfig, loadEnv } from 'vite';
+import fs from 'fs';
+import { createHash } from 'crypto';
+import { defineConfig, loadEnv, type Plugin } from 'vite';
+import tailwindcss from '@tailwindcss/vite';
 
+// sw.js に、ビルドで書き出すファイルと public/ のファイルの一覧を埋め込む。
+// 内容が変わるとキャッシュの版も変わり、次に開いたときに新しい版へ入れ替わる。
+const serviceWorker = (): Plugin => ({
+  name: 'compression-lab-service-worker',
+  apply: 'build',
+  generateBundle(_options, bundle) {
+    const publicDir = path.resolve(__dirname, 'public');
+    const publicFiles = fs.existsSync(publicDir) ? fs.readdirSync(publicDir) : [];
+    // index.html はこのあと書き出されるので、一覧には自分で加える
+    const files = ['./', ...new Set(['index.html', ...Object.keys(bundle), ...publicFiles])].map(file => (file === './' ? file : `./${file}`));
+    const hash = createHash('sha256');
+    Object.values(bundle).forEach(item => hash.update(item.fileName).update(item.type === 'chunk' ? item.code : item.source));
+    publicFiles.forEach(file => hash.update(file).update(fs.readFileSync(path.join(publicDir, file))));
+    const source = fs.readFileSync(path.resolve(__dirname, 'sw.js'), 'utf8')
+      .replace('__PRECACHE__', JSON.stringify(files))
+      .replace('__CACHE_VERSION__', hash.digest('hex').slice(0, 12));
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+  }
+});
 
 export default defineConfig(({ mode }) => {
     const env = loadEnv(mode, '.', '');
     return {
+      // 相対パスで書き出し、どのフォルダー (学校のサーバーの一部など) に置いても動くようにする
+      base: './',
       server: {
         port: 3000,
         host: '0.0.0.0',
       },
-      plugins: [],
+      plugins: [tailwindcss(), serviceWorker()],
       define: {
         'process.env.API_KEY': JSON.stringify(env.GEMINI_API_KEY),
         'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY)